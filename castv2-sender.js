@@ -2,6 +2,8 @@ module.exports = function(RED) {
     "use strict";
     const util = require('util');
     const net = require('net');
+    const os = require('os');
+    const path = require('path');
 
     const Client = require('castv2-client').Client;
     const Bonjour = require('bonjour');
@@ -18,6 +20,19 @@ module.exports = function(RED) {
     const YouTubeReceiverAdapter = require('./lib/YouTubeReceiverAdapter');
     const TuneInReceiver = require('./lib/TuneInReceiver');
     const TuneInReceiverAdapter = require('./lib/TuneInReceiverAdapter');
+    const MediaServer = require('./lib/MediaServer');
+    const StatusEventTracker = require('./lib/StatusEventTracker');
+    const Transcoder = require('./lib/Transcoder');
+
+    // Output port of each message topic in split output mode, events go out with the status they derive from
+    const OUTPUT_PORTS = { platform: 0, media: 1, queue: 1, progress: 1, result: 2, group: 2, error: 2 };
+
+    // Namespaces the connection uses to follow media status for status listeners
+    const CONNECTION_NAMESPACE = "urn:x-cast:com.google.cast.tp.connection";
+    const MEDIA_NAMESPACE = "urn:x-cast:com.google.cast.media";
+
+    // Message property of each message topic in single output mode, where results and errors are not sent
+    const OUTPUT_PROPERTIES = { platform: "platform", media: "payload", queue: "queue", progress: "progress", group: "group", event: "event" };
 
     function CastV2ConnectionNode(config) {
         RED.nodes.createNode(this, config);
@@ -29,6 +44,12 @@ module.exports = function(RED) {
         this.target = config.target;
         this.host = config.host;
         this.port = config.port;
+        this.serverEnabled = config.serverEnabled;
+        this.serverPort = parseInt(config.serverPort, 10) || 8099;
+        this.serverHost = config.serverHost;
+        this.mediaRoot = config.mediaRoot;
+        this.transcodeEnabled = config.transcodeEnabled;
+        this.ffmpegPath = config.ffmpegPath;
 
         // Connection state
         this.connected = false;
@@ -37,8 +58,38 @@ module.exports = function(RED) {
 
         // Nodes subscribed to this connection
         this.registeredNodes = {};
+        this.statusListeners = {};
         this.platformStatus = null;
 
+        // Virtual connection following media status for status listeners
+        this.mediaMonitor = null;
+
+        // Local media server for casting files from this host
+        this.mediaServer = null;
+        if (this.serverEnabled) {
+            this.mediaServer = new MediaServer({
+                port: this.serverPort,
+                host: this.serverHost,
+                root: this.mediaRoot
+            });
+
+            this.mediaServer.listenAsync()
+                .catch(error => node.error("Media server failed to start: " + error.message));
+        }
+
+        // Transcoding proxy for formats the cast device can't play, served through the media server
+        this.transcoder = null;
+        if (this.serverEnabled && this.transcodeEnabled) {
+            this.transcoder = new Transcoder({ ffmpegPath: this.ffmpegPath });
+
+            // Without ffmpeg, media falls back to playing as is, instead of URLs that can never play
+            this.transcoder.checkAsync()
+                .catch(error => {
+                    node.transcoder = null;
+                    node.error("Transcoding unavailable: " + error.message);
+                });
+        }
+
         // Platform commands handled by client directly
         this.platformCommands = [
             "CLOSE",
@@ -77,7 +128,7 @@ module.exports = function(RED) {
         this.register = function(castV2Node) {
             node.registeredNodes[castV2Node.id] = castV2Node;
 
-            if (Object.keys(node.registeredNodes).length === 1) {
+            if (node.getSubscriberCount() === 1) {
                 node.connect();
             }
         };
@@ -91,7 +142,7 @@ module.exports = function(RED) {
                 return done();
             }
 
-            if (Object.keys(node.registeredNodes).length === 0) {
+            if (node.getSubscriberCount() === 0) {
                 if (node.connected || node.connecting) {
                     node.disconnect();
                 }
@@ -101,7 +152,124 @@ module.exports = function(RED) {
         };
 
         /*
-         * Call status() on all registered nodes
+         * Adds a status listener, which only receives statuses and is never joined to receivers
+         */
+        this.addStatusListener = function(listener) {
+            node.statusListeners[listener.id] = listener;
+
+            if (node.getSubscriberCount() === 1) {
+                node.connect();
+            } else if (node.connected && node.platformStatus) {
+                listener.receiveStatus("platform", node.platformStatus, null);
+                node.updateMediaMonitor();
+
+                // A monitor already running won't request the status again, so the last one is resent
+                if (node.mediaMonitor && node.mediaMonitor.received) {
+                    listener.receiveStatus("media", node.mediaMonitor.status, node.mediaMonitor.app);
+                }
+            }
+        };
+
+        /*
+         * Removes a status listener
+         */
+        this.removeStatusListener = function(listener, done) {
+            delete node.statusListeners[listener.id];
+            if (node.closing) {
+                return done();
+            }
+
+            if (Object.keys(node.statusListeners).length === 0) {
+                node.closeMediaMonitor();
+            }
+
+            if (node.getSubscriberCount() === 0) {
+                if (node.connected || node.connecting) {
+                    node.disconnect();
+                }
+            }
+
+            done();
+        };
+
+        /*
+         * Gets the number of registered nodes and status listeners keeping the connection open
+         */
+        this.getSubscriberCount = function() {
+            return Object.keys(node.registeredNodes).length + Object.keys(node.statusListeners).length;
+        };
+
+        /*
+         * Call receiveStatus() on all status listeners
+         */
+        this.sendToStatusListeners = function(topic, payload, app) {
+            for (let id in node.statusListeners) {
+                if (node.statusListeners.hasOwnProperty(id)) {
+                    node.statusListeners[id].receiveStatus(topic, payload, app);
+                }
+            }
+        };
+
+        /*
+         * Follows media status of the running media application for status listeners.
+         * Uses a single virtual connection per cast device, instead of a receiver per listener.
+         */
+        this.updateMediaMonitor = function() {
+            if (!node.connected || !node.platformStatus || Object.keys(node.statusListeners).length === 0) {
+                node.closeMediaMonitor();
+                return;
+            }
+
+            let app = (node.platformStatus.applications || [])
+                .find(session => !session.isIdleScreen && (session.namespaces || []).some(namespace => namespace.name === MEDIA_NAMESPACE));
+
+            if (node.mediaMonitor && app && node.mediaMonitor.app.transportId === app.transportId) return;
+
+            node.closeMediaMonitor();
+            if (!app) return;
+
+            let sourceId = "client-" + Math.floor(Math.random() * 1e6);
+            let monitor = {
+                app: app,
+                connection: node.client.client.createChannel(sourceId, app.transportId, CONNECTION_NAMESPACE, "JSON"),
+                media: node.client.client.createChannel(sourceId, app.transportId, MEDIA_NAMESPACE, "JSON"),
+                status: null,
+                received: false
+            };
+
+            monitor.media.on("message", function(data) {
+                if (data.type === "MEDIA_STATUS") {
+                    monitor.status = (data.status && data.status[0]) || null;
+                    monitor.received = true;
+                    node.sendToStatusListeners("media", monitor.status, monitor.app);
+                }
+            });
+
+            monitor.connection.send({ type: "CONNECT" });
+            monitor.media.send({ type: "GET_STATUS", requestId: 1 });
+
+            node.mediaMonitor = monitor;
+        };
+
+        /*
+         * Stops following media status
+         */
+        this.closeMediaMonitor = function() {
+            if (!node.mediaMonitor) return;
+
+            try {
+                node.mediaMonitor.connection.send({ type: "CLOSE" });
+            } catch (exception) {
+                // Swallow send failures when the connection already closed
+            }
+
+            node.mediaMonitor.connection.close();
+            node.mediaMonitor.media.close();
+            node.mediaMonitor = null;
+        };
+
+        /*
+         * Call status() on all registered nodes and status listeners
          */
         this.setStatusOfRegisteredNodes = function(status) {
             for (let id in node.registeredNodes) {
@@ -109,15 +277,21 @@ module.exports = function(RED) {
                     node.registeredNodes[id].status(status);
                 }
             }
+
+            for (let id in node.statusListeners) {
+                if (node.statusListeners.hasOwnProperty(id)) {
+                    node.statusListeners[id].status(status);
+                }
+            }
         }
 
         /*
-         * Call send() on all registered nodes
+         * Call sendStatus() on all registered nodes
          */
-        this.sendToRegisteredNodes = function(msg) {
+        this.sendToRegisteredNodes = function(topic, payload) {
             for (let id in node.registeredNodes) {
                 if (node.registeredNodes.hasOwnProperty(id)) {
-                    node.registeredNodes[id].send(msg);
+                    node.registeredNodes[id].sendStatus(topic, payload);
                 }
             }
         }
@@ -155,6 +329,8 @@ module.exports = function(RED) {
          * Disconnect handler
          */
         this.disconnect = function() {
+            node.closeMediaMonitor();
+
             if (node.connected || node.connecting) {
                 try {
                     node.client.close();
@@ -186,7 +362,7 @@ module.exports = function(RED) {
             node.connected = false;
             node.connecting = false;
 
-            if (!node.closing && Object.keys(node.registeredNodes).length > 0) {
+            if (!node.closing && node.getSubscriberCount() > 0) {
                 clearTimeout(node.reconnectTimeOut);
                 node.reconnectTimeOut = setTimeout(() => { node.connect(); }, 3000);
             }
@@ -235,7 +411,9 @@ module.exports = function(RED) {
                         node.platformStatus = status;
                         node.joinNodes();
 
-                        node.sendToRegisteredNodes({ platform: status });
+                        node.sendToRegisteredNodes("platform", status);
+                        node.sendToStatusListeners("platform", status, null);
+                        node.updateMediaMonitor();
                     });
 
                     // Alert connecting state
@@ -265,6 +443,11 @@ module.exports = function(RED) {
                             node.connected = true;
                             node.connecting = false;
 
+                            // Serve media on the interface facing the cast device
+                            if (node.mediaServer && node.client.client.socket) {
+                                node.mediaServer.localAddress = node.client.client.socket.localAddress.replace(/^::ffff:/, "");
+                            }
+
                             // Set registered node status
                             node.setStatusOfRegisteredNodes({ fill: "green", shape: "ring", text: "connected" });
 
@@ -274,10 +457,12 @@ module.exports = function(RED) {
                             node.platformStatus = status;
 
                             // Send initial cast device platform status
-                            node.sendToRegisteredNodes({ platform: status });
+                            node.sendToRegisteredNodes("platform", status);
+                            node.sendToStatusListeners("platform", status, null);
 
                             // Join all nodes
                             node.joinNodes();
+                            node.updateMediaMonitor();
                         })
                         .catch(error => {
                             console.log(error);
@@ -295,6 +480,12 @@ module.exports = function(RED) {
             try {
                 node.closing = true;
                 node.disconnect();
+
+                if (node.mediaServer) {
+                    node.mediaServer.close();
+                    node.mediaServer = null;
+                }
+
                 done();
             } catch(error) {
                 // Swallow any failures here
@@ -302,6 +493,17 @@ module.exports = function(RED) {
             }
         });
 
+        /*
+         * Sets platform volume, allowing level 0 and muted state unlike the VOLUME command
+         */
+        this.setVolumeAsync = function(volume) {
+            if (!node.connected) {
+                throw new Error("Not connected");
+            }
+
+            return node.client.setVolumeAsync(volume);
+        };
+
         /*
          * Cast command handler
          */
@@ -355,24 +557,34 @@ module.exports = function(RED) {
 
     RED.nodes.registerType("castv2-connection", CastV2ConnectionNode);
 
-    function CastV2SenderNode(config) {
+    function CastV2GroupNode(config) {
         RED.nodes.createNode(this, config);
 
+        let node = this;
+
         // Settings
         this.name = config.name;
-        this.connection = config.connection;
-        this.clientNode = RED.nodes.getNode(this.connection);
+        this.connections = config.connections || [];
 
-        this.settings = {
-            spotify: {
-                accessToken: config.spotifyAccessToken,
-                accessTokenExpiration: config.spotifyAccessTokenExpiration,
-                deviceName: config.spotifyDeviceName
-            }
+        /*
+         * Gets the configured member connection nodes
+         */
+        this.getConnectionNodes = function() {
+            return node.connections
+                .map(connection => RED.nodes.getNode(connection))
+                .filter(clientNode => clientNode != null);
         };
+    }
 
+    RED.nodes.registerType("castv2-group", CastV2GroupNode);
+
+    /*
+     * Attaches receiver state and command handling for a single cast connection
+     * Used by sender nodes directly, and by group senders for each member connection
+     */
+    function initSender(node) {
         // Internal state
-        this.supportedApplications = [
+        node.supportedApplications = [
             DefaultMediaReceiver,
             GooglePlayMusicReceiver,
             GooglePlayMoviesReceiver,
@@ -381,27 +593,127 @@ module.exports = function(RED) {
             TuneInReceiver
         ];
 
-        this.receiver = null;
-        this.adapter = null;
-        this.launching = false;
+        node.receiver = null;
+        node.adapter = null;
+        node.launching = false;
+        node.announcementQueue = Promise.resolve();
+        node.hostedReleases = [];
+        node.slideshow = null;
+        node.statusTracker = new StatusEventTracker();
+        node.progressTimer = null;
 
         // Media control commands handled by any active receiver
-        this.mediaCommands = [
+        node.mediaCommands = [
+            "GET_QUEUE",
             "GET_STATUS",
+            "MEDIA_MUTE",
+            "MEDIA_VOLUME",
             "PAUSE",
             "PLAY",
             "QUEUE_NEXT",
             "QUEUE_PREV",
+            "REPEAT",
             "SEEK",
-            "STOP"
+            "SET_PLAYBACK_RATE",
+            "SET_TRACKS",
+            "SHUFFLE",
+            "SKIP_BACKWARD",
+            "SKIP_FORWARD",
+            "STOP",
+            "SUBTITLES_OFF"
         ];
 
-        let node = this;
+
+        /*
+         * Outputs an unsolicited platform or media status, and the playback events derived from it
+         */
+        node.sendStatus = function(source, status, properties) {
+            let update = node.statusTracker.update(source, status);
+
+            if (!update.duplicate || !node.settings.status.suppressDuplicates) {
+                node.sendOutput(source, status, properties);
+            }
+
+            if (node.settings.status.events) {
+                update.events.forEach(event => node.sendOutput("event", event));
+            }
+
+            if (source === "media") {
+                node.updateProgress(status);
+            }
+        };
+
+        /*
+         * Starts progress reporting when media starts playing, and stops it when it doesn't
+         */
+        node.updateProgress = function(status) {
+            let interval = node.settings.progress.interval;
+            if (!interval || !status || status.playerState !== "PLAYING") {
+                node.stopProgress();
+                return;
+            }
+
+            if (node.progressTimer) return;
+
+            // The position is interpolated between statuses, and resynced with a real status now and then
+            let sinceResync = 0;
+            node.progressTimer = setInterval(function() {
+                if (node.receiver == null) {
+                    node.stopProgress();
+                    return;
+                }
+
+                sinceResync += interval;
+                if (node.settings.progress.resyncInterval && sinceResync >= node.settings.progress.resyncInterval) {
+                    sinceResync = 0;
+                    // Resynced statuses are handled like broadcasts, so changes missed in between still output
+                    node.receiver.getStatusAsync()
+                        .then(status => node.sendStatus("media", status || null))
+                        .catch(error => node.error("Progress resync failed: " + error.message));
+                }
+
+                node.sendOutput("progress", node.getProgress());
+            }, interval * 1000);
+
+            node.sendOutput("progress", node.getProgress());
+        };
+
+        /*
+         * Stops progress reporting
+         */
+        node.stopProgress = function() {
+            if (node.progressTimer) {
+                clearInterval(node.progressTimer);
+                node.progressTimer = null;
+            }
+        };
+
+        /*
+         * Gets the estimated playback progress of the current media
+         */
+        node.getProgress = function() {
+            let media = node.statusTracker.mediaInformation || {};
+            let duration = typeof media.duration === "number" && media.duration > 0 ? media.duration : null;
+            let position = node.receiver.getEstimatedTime() || 0;
+            if (duration !== null) {
+                position = Math.min(position, duration);
+            }
+
+            // Live streams have no duration to report progress against
+            return {
+                position: position,
+                duration: duration,
+                percent: duration !== null ? position / duration * 100 : null,
+                remaining: duration !== null ? duration - position : null,
+                contentId: media.contentId || null,
+                title: media.metadata ? media.metadata.title || null : null
+            };
+        };
 
         /*
          * Joins this node to the active receiver on the client connection
          */
-        this.join = function(activeSession, castV2App) {
+        node.join = function(activeSession, castV2App) {
             // Ignore launches triggered by self launching in sendCommandAsync
             if (node.launching) return;
 
@@ -415,7 +727,9 @@ module.exports = function(RED) {
         /*
          * Disconnects this node from the active receiver on the client connection
          */
-        this.unjoin = function() {
+        node.unjoin = function() {
+            node.stopSlideshow();
+            node.stopProgress();
             node.adapter = null;
 
             if (node.receiver != null) {
@@ -426,18 +740,42 @@ module.exports = function(RED) {
             node.status({ fill: "green", shape: "ring", text: "connected" });
         };
 
+        /*
+         * Closes the active receiver and resets launch state
+         */
+        node.closeReceiver = function() {
+            node.stopSlideshow();
+            node.stopProgress();
+            node.adapter = null;
+
+            if (node.receiver != null) {
+                node.receiver.close();
+                node.receiver = null;
+            }
+
+            node.launching = false;
+        };
+
         /*
          * Initializes a receiver after launch or join
          */
-        this.initReceiver = function(receiver, castV2App) {
+        node.initReceiver = function(receiver, castV2App) {
             node.adapter = node.getAdapter(castV2App);
             node.receiver = node.adapter.initReceiver(node, receiver);
+            node.statusTracker.resetMedia();
 
             node.receiver.on("status", function(status) {
-                node.send({ payload: status });
+                // Slideshows report the slide on screen with each status
+                if (node.slideshow) {
+                    node.sendStatus("media", status, { slide: node.slideshow.getSlide() });
+                } else {
+                    node.sendStatus("media", status);
+                }
             });
 
             node.receiver.once("close", function() {
+                node.stopSlideshow();
+                node.stopProgress();
                 node.adapter = null;
                 node.receiver = null;
                 node.status({ fill: "green", shape: "ring", text: "connected" });
@@ -448,18 +786,24 @@ module.exports = function(RED) {
             // Send initial receiver state
             node.receiver.getStatusAsync()
                 .then(status => {
-                    if (status) {
-                        node.send({ payload: status });
-                    } else {
-                        node.send({ payload: null });
-                    }
+                    node.sendStatus("media", status || null);
                 });
         };
 
+        /*
+         * Stops any running slideshow, leaving the current slide on screen
+         */
+        node.stopSlideshow = function() {
+            if (node.slideshow) {
+                node.slideshow.stop();
+                node.slideshow = null;
+            }
+        };
+
         /*
          * Gets adapter for specified application
          */
-        this.getAdapter = function(castV2App) {
+        node.getAdapter = function(castV2App) {
             switch (castV2App.APP_ID) {
                 case DefaultMediaReceiver.APP_ID:
                     return DefaultMediaReceiverAdapter;
@@ -488,7 +832,7 @@ module.exports = function(RED) {
         /*
          * Gets application for command
          */
-        this.getCommandApp = function(command) {
+        node.getCommandApp = function(command) {
             switch (command.app) {
                 case "DefaultMediaReceiver":
                     return DefaultMediaReceiver;
@@ -514,19 +858,225 @@ module.exports = function(RED) {
             }
         }
 
+        /*
+         * Launches an application and initializes its receiver
+         */
+        node.launchAsync = function(castV2App) {
+            node.launching = true;
+
+            return node.clientNode.launchAsync(castV2App)
+                .then(receiver => {
+                    node.initReceiver(receiver, castV2App);
+                    node.launching = false;
+                })
+                .catch(error => {
+                    // Ensure on failure we cleanup launching lock
+                    node.launching = false;
+                    throw error;
+                });
+        };
+
+        /*
+         * Announcement handler, serialized so overlapping announcements don't snapshot each other
+         */
+        node.announceAsync = function(command) {
+            let announcement = Object.assign({}, command, {
+                app: "DefaultMediaReceiver",
+                type: command.type === "ANNOUNCE" ? (command.media ? "MEDIA" : "TTS") : command.type,
+                interrupt: false
+            });
+
+            // Volume on announcements is the announcement volume, not a platform command
+            delete announcement.volume;
+
+            let announcementPromise = node.announcementQueue
+                .catch(() => {})
+                .then(() => node.snapshotAsync())
+                .then(snapshot => {
+                    // The announcement interrupts the current media, whose hosted content is needed to resume it
+                    snapshot.hostedIds = node.holdHostedContent();
+
+                    let volumePromise = (typeof command.volume === "number" && command.volume >= 0 && command.volume <= 100)
+                        ? node.clientNode.setVolumeAsync({ level: command.volume / 100 })
+                        : Promise.resolve();
+
+                    return volumePromise
+                        .then(() => node.sendCommandAsync(announcement))
+                        .then(status => node.waitForIdleAsync(status, (command.timeout || 300) * 1000))
+                        .then(
+                            () => node.restoreAsync(snapshot, command),
+                            error => node.restoreAsync(snapshot, command).then(() => { throw error; }));
+                });
+
+            node.announcementQueue = announcementPromise;
+
+            return announcementPromise;
+        };
+
+        /*
+         * Stops releasing hosted content when the current media ends, returning the hosted ids held
+         */
+        node.holdHostedContent = function() {
+            let releases = node.hostedReleases.slice();
+            releases.forEach(pendingRelease => pendingRelease.detach());
+
+            return releases.reduce((ids, pendingRelease) => ids.concat(pendingRelease.hostedIds), []);
+        };
+
+        /*
+         * Releases held hosted content
+         */
+        node.releaseHostedContent = function(hostedIds) {
+            let mediaServer = node.clientNode.mediaServer;
+            if (mediaServer) {
+                (hostedIds || []).forEach(id => mediaServer.release(id));
+            }
+        };
+
+        /*
+         * Captures the running application, media and volume to restore after an announcement
+         */
+        node.snapshotAsync = function() {
+            let platformStatus = node.clientNode.platformStatus || {};
+            let snapshot = {
+                volume: platformStatus.volume ? platformStatus.volume.level : null,
+                castV2App: null,
+                status: null,
+                queue: null
+            };
+
+            if (platformStatus.applications) {
+                let activeSession = platformStatus.applications.find(session => node.supportedApplications.some(supportedApp => supportedApp.APP_ID === session.appId));
+                if (activeSession) {
+                    snapshot.castV2App = node.supportedApplications.find(supportedApp => supportedApp.APP_ID === activeSession.appId);
+                }
+            }
+
+            if (!snapshot.castV2App || !node.receiver || !node.adapter) {
+                return Promise.resolve(snapshot);
+            }
+
+            return node.receiver.getStatusAsync()
+                .then(status => {
+                    snapshot.status = status || null;
+
+                    if (status && status.media && node.adapter.getQueueAsync) {
+                        return node.adapter.getQueueAsync(node.receiver, status, {})
+                            .then(queue => { snapshot.queue = queue; })
+                            .catch(() => {});
+                    }
+                })
+                .then(() => snapshot)
+                .catch(() => snapshot);
+        };
+
+        /*
+         * Waits for the current media to finish, or the timeout to expire
+         */
+        node.waitForIdleAsync = function(loadStatus, timeout) {
+            if (!node.receiver || StatusEventTracker.isPlaybackEnded(loadStatus)) {
+                return Promise.resolve(loadStatus);
+            }
+
+            let receiver = node.receiver;
+
+            return new Promise(resolve => {
+                let timer = setTimeout(() => finish(null), timeout);
+
+                function onstatus(status) {
+                    if (StatusEventTracker.isPlaybackEnded(status)) {
+                        finish(status);
+                    }
+                }
+
+                function onclose() {
+                    finish(null);
+                }
+
+                function finish(status) {
+                    clearTimeout(timer);
+                    receiver.removeListener("status", onstatus);
+                    receiver.removeListener("close", onclose);
+                    resolve(status);
+                }
+
+                receiver.on("status", onstatus);
+                receiver.once("close", onclose);
+            });
+        };
+
+        /*
+         * Restores the application, media and volume captured before an announcement
+         */
+        node.restoreAsync = function(snapshot, command) {
+            let restorePromise;
+            let resumed = false;
+            if (!snapshot.castV2App) {
+                // Nothing supported was running before, so close the announcement
+                restorePromise = node.receiver
+                    ? node.clientNode.sendPlatformCommandAsync({ type: "CLOSE" }, node.receiver)
+                    : Promise.resolve();
+            } else {
+                let launchPromise = (node.receiver && node.adapter && node.receiver instanceof snapshot.castV2App)
+                    ? Promise.resolve()
+                    : node.launchAsync(snapshot.castV2App);
+
+                restorePromise = launchPromise
+                    .then(() => {
+                        if (snapshot.status && snapshot.status.media && node.adapter.resumeAsync) {
+                            // Resuming takes over releasing the held content
+                            resumed = true;
+                            return node.adapter.resumeAsync(node, node.receiver, snapshot);
+                        }
+                    });
+            }
+
+            // Held content is released here unless resuming took it over
+            restorePromise = restorePromise.then(
+                () => {
+                    if (!resumed) node.releaseHostedContent(snapshot.hostedIds);
+                },
+                error => {
+                    if (!resumed) node.releaseHostedContent(snapshot.hostedIds);
+                    throw error;
+                });
+
+            return restorePromise
+                .then(() => {
+                    if (typeof command.volume === "number" && snapshot.volume !== null) {
+                        return node.clientNode.setVolumeAsync({ level: snapshot.volume });
+                    }
+                });
+        };
+
         /*
          * General command handler
          */
-        this.sendCommandAsync = function(command) {
+        node.sendCommandAsync = function(command) {
+            // Cache maintenance is handled by the sender, without launching anything
+            if (command.type === "CLEAR_TTS_CACHE") {
+                let cache = DefaultMediaReceiverAdapter.getTtsCache(node);
+                return cache ? cache.clearAsync().then(() => null) : Promise.resolve(null);
+            }
+
+            // Announcements interrupt and restore whatever is currently playing
+            if (command.type === "ANNOUNCE" || (command.interrupt && (command.type === "TTS" || command.type === "MEDIA"))) {
+                return node.announceAsync(command);
+            }
+
             let isPlatformCommand = node.clientNode.platformCommands.includes(command.type);
             let isMediaCommand = node.mediaCommands.includes(command.type);
             if (isPlatformCommand) {
+                if (command.type === "CLOSE") {
+                    node.stopSlideshow();
+                }
+
                 return node.clientNode.sendPlatformCommandAsync(command, node.receiver);
             } else if (isMediaCommand) {
                 // If no active receiver, error
                 if (!node.receiver || !node.adapter) {
-                    // Calling GET_STATUS without a receiver should just return null
-                    if (command.type === "GET_STATUS") {
+                    // Calling GET_STATUS or GET_QUEUE without a receiver should just return null
+                    if (command.type === "GET_STATUS" || command.type === "GET_QUEUE") {
                         return Promise.resolve(null);
                     }
 
@@ -538,32 +1088,46 @@ module.exports = function(RED) {
                 // App specific command, determine app
                 let castV2App = node.getCommandApp(command);
 
+                // Anything newly cast replaces a running slideshow
+                node.stopSlideshow();
+
                 // If no active receiver, launch and try again
-                if (!node.receiver || !node.adapter || node.receiver.APP_ID !== castV2App.APP_ID) {
-                    node.launching = true;
+                if (!node.receiver || !node.adapter || !(node.receiver instanceof castV2App)) {
+                    return node.launchAsync(castV2App)
+                        .then(() => node.adapter.sendAppCommandAsync(node, node.receiver, command));
+                }
+
+                return node.adapter.sendAppCommandAsync(node, node.receiver, command);
+            }
+        };
 
-                    return node.clientNode.launchAsync(castV2App)
-                        .then(receiver => {
-                            node.initReceiver(receiver, castV2App);
-                            node.launching = false;
+        /*
+         * Seeks to a position clamped to the media duration
+         */
+        node.seekToAsync = function(status, time) {
+            let duration = status.media && status.media.duration;
+            if (duration) {
+                time = Math.min(time, duration);
+            }
 
-                            return node.adapter.sendAppCommandAsync(node.receiver, command);
-                        })
-                        .catch(error => {
-                            // Ensure on failure we cleanup launching lock
-                            node.launching = false;
-                            throw error;
-                        });
-                }
+            return node.receiver.seekAsync(Math.max(0, time));
+        };
 
-                return node.adapter.sendAppCommandAsync(node.receiver, command);
+        /*
+         * Applies queue options to the running queue
+         */
+        node.queueUpdateAsync = function(queueOptions) {
+            if (!node.receiver.queueUpdateAsync) {
+                throw new Error("Queue not supported by active receiver");
             }
+
+            return node.receiver.queueUpdateAsync([], queueOptions);
         };
 
         /*
          * Media command handler
          */
-        this.sendMediaCommandAsync = function(command) {
+        node.sendMediaCommandAsync = function(command) {
             if (command.type === "GET_STATUS") {
                 return node.receiver.getStatusAsync();
             } else {
@@ -585,9 +1149,12 @@ module.exports = function(RED) {
                         * 64    Queue Next
                         * 128   Queue Prev
                         * 256   Queue Shuffle
+                        * 512   Skip Ad
                         * 1024  Queue Repeat All
                         * 2048  Queue Repeat One
                         * 3072  Queue Repeat
+                        * 4096  Edit tracks
+                        * 8192  Playback rate
                         */
                         switch (command.type) {
                             case "PAUSE":
@@ -598,14 +1165,58 @@ module.exports = function(RED) {
                             case "PLAY":
                                 return node.receiver.playAsync();
                                 break;
+                            case "MEDIA_VOLUME":
+                                if (status.supportedMediaCommands & 4) {
+                                    if (typeof command.volume === "number" && command.volume >= 0 && command.volume <= 100) {
+                                        return node.receiver.setVolumeAsync({ level: command.volume / 100 });
+                                    }
+
+                                    throw new Error("Malformed media control command");
+                                }
+                                break;
+                            case "MEDIA_MUTE":
+                                if (status.supportedMediaCommands & 8) {
+                                    return node.receiver.setVolumeAsync({ muted: command.muted !== false });
+                                }
+                                break;
                             case "SEEK":
-                                if (status.supportedMediaCommands & 2 && command.time) {
-                                    return node.receiver.seekAsync(command.time);
+                                if (status.supportedMediaCommands & 2) {
+                                    if (typeof command.time === "number") {
+                                        return node.seekToAsync(status, command.time);
+                                    } else if (typeof command.relative === "number") {
+                                        return node.seekToAsync(status, node.receiver.getEstimatedTime() + command.relative);
+                                    } else if (typeof command.percent === "number") {
+                                        if (!status.media || !status.media.duration) {
+                                            throw new Error("Media duration unknown");
+                                        }
+
+                                        return node.seekToAsync(status, status.media.duration * command.percent / 100);
+                                    }
+
+                                    throw new Error("Malformed media control command");
+                                }
+                                break;
+                            case "SKIP_FORWARD":
+                                if (status.supportedMediaCommands & 16) {
+                                    return node.seekToAsync(status, node.receiver.getEstimatedTime() + (command.time || 30));
+                                }
+                                break;
+                            case "SKIP_BACKWARD":
+                                if (status.supportedMediaCommands & 32) {
+                                    return node.seekToAsync(status, node.receiver.getEstimatedTime() - (command.time || 30));
                                 }
                                 break;
                             case "STOP":
+                                node.stopSlideshow();
                                 return node.receiver.stopAsync();
                                 break;
+                            case "GET_QUEUE":
+                                if (node.adapter.getQueueAsync) {
+                                    return node.adapter.getQueueAsync(node.receiver, status, command);
+                                }
+
+                                throw new Error("Queue not supported by active receiver");
+                                break;
                             case "QUEUE_NEXT":
                                 if (status.supportedMediaCommands & 64) {
                                     return node.receiver.queueNextAsync();
@@ -616,6 +1227,61 @@ module.exports = function(RED) {
                                     return node.receiver.queuePrevAsync();
                                 }
                                 break;
+                            case "SET_TRACKS":
+                                if (status.supportedMediaCommands & 4096) {
+                                    if (!Array.isArray(command.activeTrackIds) && !command.textTrackStyle) {
+                                        throw new Error("Malformed media control command");
+                                    }
+
+                                    return node.receiver.editTracksInfoAsync({
+                                        activeTrackIds: command.activeTrackIds,
+                                        textTrackStyle: command.textTrackStyle
+                                    });
+                                }
+                                break;
+                            case "SET_PLAYBACK_RATE":
+                                if (status.supportedMediaCommands & 8192) {
+                                    if (typeof command.playbackRate === "number" && command.playbackRate >= 0.5 && command.playbackRate <= 2) {
+                                        return node.receiver.setPlaybackRateAsync(command.playbackRate);
+                                    }
+
+                                    throw new Error("Malformed media control command");
+                                }
+                                break;
+                            case "SUBTITLES_OFF": {
+                                if (status.supportedMediaCommands & 4096) {
+                                    // Keep any active audio / video tracks, only drop text tracks
+                                    let tracks = (status.media && status.media.tracks) || [];
+                                    let textTrackIds = tracks.filter(track => track.type === "TEXT").map(track => track.trackId);
+                                    let activeTrackIds = (status.activeTrackIds || []).filter(trackId => !textTrackIds.includes(trackId));
+
+                                    return node.receiver.editTracksInfoAsync({ activeTrackIds: activeTrackIds });
+                                }
+                                break;
+                            }
+                            case "SHUFFLE":
+                                if (status.supportedMediaCommands & 256) {
+                                    return node.queueUpdateAsync({ shuffle: true });
+                                }
+                                break;
+                            case "REPEAT": {
+                                // Each repeat mode requires its own capabilities, REPEAT_OFF is always allowed
+                                let repeatCapabilities = {
+                                    REPEAT_OFF: 0,
+                                    REPEAT_ALL: 1024,
+                                    REPEAT_SINGLE: 2048,
+                                    REPEAT_ALL_AND_SHUFFLE: 1024 | 256
+                                };
+
+                                if (!repeatCapabilities.hasOwnProperty(command.repeatMode)) {
+                                    throw new Error("Malformed media control command");
+                                }
+
+                                if ((status.supportedMediaCommands & repeatCapabilities[command.repeatMode]) === repeatCapabilities[command.repeatMode]) {
+                                    return node.queueUpdateAsync({ repeatMode: command.repeatMode });
+                                }
+                                break;
+                            }
                             default:
                                 throw new Error("Malformed media control command");
                                 break;
@@ -623,15 +1289,156 @@ module.exports = function(RED) {
                     });
             }
         };
+    }
+
+    function CastV2SenderNode(config) {
+        RED.nodes.createNode(this, config);
+
+        // Settings
+        this.name = config.name;
+        this.connection = config.connection;
+        this.clientNode = RED.nodes.getNode(this.connection);
+        this.group = config.group;
+        this.groupNode = RED.nodes.getNode(this.group);
+        this.outputMode = config.outputMode || "single";
+
+        this.settings = {
+            spotify: {
+                accessToken: config.spotifyAccessToken,
+                accessTokenExpiration: config.spotifyAccessTokenExpiration,
+                deviceName: config.spotifyDeviceName
+            },
+            tts: {
+                provider: config.ttsProvider || "google",
+                urlTemplate: config.ttsUrlTemplate,
+                command: config.ttsCommand,
+                contentType: config.ttsContentType,
+                cacheEnabled: config.ttsCacheEnabled,
+                cacheDirectory: path.join(RED.settings.userDir || os.tmpdir(), "castv2-tts-cache"),
+                cacheMaxAge: (parseFloat(config.ttsCacheMaxAge) || 0) * 86400,
+                cacheMaxSize: (parseFloat(config.ttsCacheMaxSize) || 0) * 1024 * 1024
+            },
+            status: {
+                events: config.statusEvents,
+                suppressDuplicates: config.suppressDuplicates
+            },
+            progress: {
+                interval: parseFloat(config.progressInterval) || 0,
+                resyncInterval: parseFloat(config.progressResyncInterval) || 0
+            }
+        };
+
+        // Group member senders, one per member connection when using a group
+        this.members = null;
+
+        let node = this;
+
+        /*
+         * Sends a message on the output for its topic. Single output mode sends the legacy message
+         * properties on one output, split output mode sends msg.topic and msg.payload on dedicated outputs.
+         */
+        this.sendOutput = function(topic, payload, properties) {
+            if (node.outputMode === "split") {
+                let msgs = [null, null, null];
+                let port = topic === "event" ? OUTPUT_PORTS[payload.source] : OUTPUT_PORTS[topic];
+                msgs[port] = Object.assign({ topic: topic, payload: payload }, properties);
+                node.send(msgs);
+            } else if (OUTPUT_PROPERTIES[topic]) {
+                node.send(Object.assign({ [OUTPUT_PROPERTIES[topic]]: payload }, properties));
+            }
+        };
+
+        /*
+         * Creates a sender for a group member connection
+         */
+        this.createMember = function(clientNode) {
+            let member = {
+                id: node.id + ":" + clientNode.id,
+                device: clientNode.name || clientNode.target || clientNode.host,
+                clientNode: clientNode,
+                settings: node.settings,
+                lastStatus: null
+            };
+
+            member.status = function(status) {
+                member.lastStatus = status;
+                node.setGroupStatus();
+            };
+
+            member.sendOutput = function(topic, payload, properties) {
+                node.sendOutput(topic, payload, Object.assign({ device: member.device }, properties));
+            };
+
+            member.error = function(message) {
+                node.error(member.device + ": " + message);
+            };
+
+            initSender(member);
+
+            return member;
+        };
+
+        /*
+         * Summarizes member statuses as the group node status
+         */
+        this.setGroupStatus = function() {
+            // Members report status while the group is still being set up
+            if (!node.members) return;
+
+            let total = node.members.length;
+            let connected = node.members.filter(member => member.clientNode.connected).length;
+            let joined = node.members.filter(member => member.receiver != null && member.adapter != null).length;
+            let fill = connected === total ? "green" : (connected > 0 ? "yellow" : "red");
+
+            // Members run the same slideshow, so the slide of the first one stands for the group
+            let slideshowMember = node.members.find(member => member.slideshow && member.slideshow.getSlide());
+            if (slideshowMember) {
+                let slide = slideshowMember.slideshow.getSlide();
+                node.status({ fill: fill, shape: "dot", text: joined + "/" + total + " joined, slideshow " + (slide.index + 1) + "/" + slide.count });
+            } else if (joined > 0) {
+                node.status({ fill: fill, shape: "dot", text: joined + "/" + total + " joined" });
+            } else {
+                node.status({ fill: fill, shape: "ring", text: connected + "/" + total + " connected" });
+            }
+        };
+
+        /*
+         * Fans a command out to all group members in parallel
+         */
+        this.sendGroupCommandAsync = function(command) {
+            return Promise.all(node.members.map(member => {
+                // Each member gets its own deep copy, as adapters modify nested media objects in place
+                return new Promise(resolve => resolve(member.sendCommandAsync(RED.util.cloneMessage(command))))
+                    .then(
+                        status => ({ device: member.device, status: status || null }),
+                        error => ({ device: member.device, error: error }));
+            }))
+            .then(outcomes => {
+                return {
+                    results: outcomes.filter(outcome => !outcome.error),
+                    failures: outcomes
+                        .filter(outcome => outcome.error)
+                        .map(outcome => ({ device: outcome.device, error: outcome.error.message }))
+                };
+            });
+        };
+
+        if (node.groupNode) {
+            node.members = node.groupNode.getConnectionNodes().map(clientNode => node.createMember(clientNode));
+            node.members.forEach(member => member.clientNode.register(member));
+            node.setGroupStatus();
+        } else if (node.clientNode) {
+            initSender(node);
 
-        if (node.clientNode) {
             node.status({ fill: "red", shape: "ring", text: "disconnected" });
             node.clientNode.register(node);
 
             if (node.clientNode.connected) {
                 node.status({ fill: "green", shape: "ring", text: "connected" });
             }
+        }
 
+        if (node.groupNode || node.clientNode) {
             /*
             * Node-red input handler
             */
@@ -642,7 +1449,9 @@ module.exports = function(RED) {
                 send = send || function() { node.send.apply(node, arguments); };
 
                 // Reset the node status
-                if (node.receiver != null && node.adapter != null) {
+                if (node.members) {
+                    node.setGroupStatus();
+                } else if (node.receiver != null && node.adapter != null) {
                     node.status({ fill: "green", shape: "dot", text: "joined" });
                 } else if (node.clientNode.connected) {
                     node.status({ fill: "green", shape: "ring", text: "connected" });
@@ -653,6 +1462,14 @@ module.exports = function(RED) {
                 const errorHandler = function(error) {
                     node.status({ fill: "red", shape: "ring", text: "error" });
 
+                    let command = msg.payload && typeof msg.payload === "object" ? msg.payload : {};
+                    node.sendOutput("error", {
+                        command: command.type || null,
+                        app: command.app || null,
+                        message: error.message,
+                        code: error.code || null
+                    });
+
                     if (done) {
                         done(error);
                     } else {
@@ -661,6 +1478,17 @@ module.exports = function(RED) {
                 };
 
                 try {
+                    // Buffers are cast as in memory media
+                    if (Buffer.isBuffer(msg.payload)) {
+                        msg.payload = {
+                            type: "MEDIA",
+                            media: {
+                                data: msg.payload,
+                                contentType: msg.contentType || (msg.headers && msg.headers["content-type"])
+                            }
+                        };
+                    }
+
                     // Validate incoming message
                     if (msg.payload == null || typeof msg.payload !== "object") {
                         msg.payload = { type: "GET_CAST_STATUS" };
@@ -670,16 +1498,41 @@ module.exports = function(RED) {
                         msg.payload.app = "DefaultMediaReceiver";
                     }
 
+                    if (node.members) {
+                        node.sendGroupCommandAsync(msg.payload)
+                            .then(group => {
+                                node.sendOutput("group", group);
+
+                                // Only fail the command if no member succeeded
+                                if (group.results.length === 0 && group.failures.length > 0) {
+                                    throw new Error("Command failed on all group members");
+                                }
+
+                                if (done) done();
+                            })
+                            .catch(error => errorHandler(error));
+
+                        return;
+                    }
+
                     node.sendCommandAsync(msg.payload)
                         .then(status => {
                             // Handle solicited messages
                             status = status || null;
                             if (msg.payload.type === "GET_CAST_STATUS" || msg.payload.type === "GET_VOLUME") {
-                                node.send({ platform: status });
+                                node.sendOutput("platform", status);
                             } else if (msg.payload.type === "GET_STATUS") {
-                                node.send({ payload: status });
+                                node.sendOutput("media", status);
+                            } else if (msg.payload.type === "GET_QUEUE") {
+                                node.sendOutput("queue", status);
                             }
 
+                            node.sendOutput("result", {
+                                command: msg.payload.type,
+                                app: msg.payload.app,
+                                status: status
+                            });
+
                             if (done) done();
                         })
                         .catch(error => errorHandler(error));
@@ -691,22 +1544,22 @@ module.exports = function(RED) {
             */
             this.on('close', function(done) {
                 try {
-                    if (node.clientNode) {
-                        node.clientNode.deregister(node, function() {
-                            node.adapter = null;
-
-                            if (node.receiver != null) {
-                                node.receiver.close();
-                                node.receiver = null;
-                            }
+                    let senders = node.members || [node];
+                    let pending = senders.length;
+                    if (pending === 0) {
+                        return done();
+                    }
 
-                            node.launching = false;
+                    senders.forEach(sender => {
+                        sender.clientNode.deregister(sender, function() {
+                            sender.closeReceiver();
 
-                            done();
+                            pending--;
+                            if (pending === 0) {
+                                done();
+                            }
                         });
-                    } else {
-                        done();
-                    }
+                    });
                 } catch(error) {
                     // swallow any errors here
                     done();
@@ -719,6 +1572,92 @@ module.exports = function(RED) {
 
     RED.nodes.registerType("castv2-sender", CastV2SenderNode);
 
+    function CastV2StatusNode(config) {
+        RED.nodes.createNode(this, config);
+
+        // Settings
+        this.name = config.name;
+        this.connection = config.connection;
+        this.clientNode = RED.nodes.getNode(this.connection);
+        this.filter = config.filter || "all";
+        this.app = (config.app || "").trim().toLowerCase();
+        this.eventsOnly = config.eventsOnly;
+
+        // Internal state
+        this.statusTracker = new StatusEventTracker();
+        this.mediaSessionId = null;
+
+        let node = this;
+
+        /*
+         * Checks if an application session or application event is the configured app
+         */
+        this.matchesApp = function(app) {
+            if (!node.app) return true;
+
+            return (app.appId || "").toLowerCase() === node.app || (app.displayName || "").toLowerCase() === node.app;
+        };
+
+        /*
+         * Outputs a platform or media status from the connection, and the events derived from it
+         */
+        this.receiveStatus = function(source, status, app) {
+            if (source === "media") {
+                if (node.filter === "platform") return;
+                if (node.filter === "app" && !node.matchesApp(app)) return;
+
+                // Statuses from another session start over, instead of diffing against the previous app
+                if (app.sessionId !== node.mediaSessionId) {
+                    node.mediaSessionId = app.sessionId;
+                    node.statusTracker.resetMedia();
+                }
+            }
+
+            let update = node.statusTracker.update(source, status);
+            let appInfo = app ? { appId: app.appId, displayName: app.displayName, sessionId: app.sessionId } : undefined;
+
+            // Following an app leaves out platform statuses, except for the app launching and closing
+            let showStatus = !node.eventsOnly && !update.duplicate && !(node.filter === "app" && source === "platform");
+            let events = update.events.filter(event => {
+                if (node.filter === "platform") return event.source === "platform";
+                if (node.filter === "app") return event.source === "media" || (event.appId && node.matchesApp(event));
+
+                return true;
+            });
+
+            if (showStatus) {
+                node.send({ topic: source, payload: status, app: appInfo });
+            }
+
+            events.forEach(event => node.send({ topic: "event", payload: event, app: appInfo }));
+        };
+
+        if (node.clientNode) {
+            node.status({ fill: "red", shape: "ring", text: "disconnected" });
+            node.clientNode.addStatusListener(node);
+
+            if (node.clientNode.connected) {
+                node.status({ fill: "green", shape: "ring", text: "connected" });
+            }
+
+            /*
+            * Node-red close handler
+            */
+            this.on('close', function(done) {
+                try {
+                    node.clientNode.removeStatusListener(node, done);
+                } catch(error) {
+                    // swallow any errors here
+                    done();
+                }
+            });
+        } else {
+            node.status({ fill: "red", shape: "ring", text: "unconfigured" });
+        }
+    }
+
+    RED.nodes.registerType("castv2-status", CastV2StatusNode);
+
     /*
      * Expose discover endpoint for connection targets
      */
@@ -0,0 +1,70 @@
+"use strict";
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function CommandTtsProvider(options) {
+    this.command = options.command;
+    this.contentType = options.contentType || "audio/wav";
+    this.timeout = options.timeout || 30000;
+
+    // Identifies output of this provider configuration for caching
+    this.cacheId = 'command:' + this.command;
+}
+
+CommandTtsProvider.NAME = 'command';
+
+/*
+* Runs the configured local command to synthesize to a temporary file, and returns its contents
+* Supports {text}, {language}, {speed}, {voice} and {file} placeholders
+*/
+CommandTtsProvider.prototype.synthesizeAsync = function(text, options) {
+    if (!this.command) {
+        return Promise.reject(new Error("TTS command not configured"));
+    }
+
+    let self = this;
+    let file = path.join(os.tmpdir(), "castv2-tts-" + crypto.randomBytes(8).toString("hex") + CommandTtsProvider.getExtension(this.contentType));
+    let values = {
+        text: text,
+        language: options.language,
+        speed: String(options.speed),
+        voice: options.voice || "",
+        file: file
+    };
+
+    // Arguments are split before substitution, so text is always passed as a single argument and never through a shell
+    let args = this.command.trim().split(/\s+/).map(arg => arg.replace(/{(text|language|speed|voice|file)}/g, (match, key) => values[key]));
+
+    return new Promise((resolve, reject) => {
+        childProcess.execFile(args[0], args.slice(1), { timeout: self.timeout }, error => {
+            if (error) {
+                fs.unlink(file, () => {});
+                return reject(new Error("TTS command failed: " + error.message));
+            }
+
+            fs.readFile(file, (readError, data) => {
+                fs.unlink(file, () => {});
+                if (readError) {
+                    return reject(new Error("TTS command produced no output"));
+                }
+
+                resolve({ data: data, contentType: self.contentType });
+            });
+        });
+    });
+};
+
+/*
+* Gets a file extension for the output content type
+*/
+CommandTtsProvider.getExtension = function(contentType) {
+    if (/mp3|mpeg/.test(contentType)) return ".mp3";
+    if (/ogg/.test(contentType)) return ".ogg";
+
+    return ".wav";
+};
+
+module.exports = CommandTtsProvider;
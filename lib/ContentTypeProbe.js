@@ -0,0 +1,222 @@
+"use strict";
+const httpClient = require('request');
+
+function ContentTypeProbe() {}
+
+// Probe results by URL, oldest first
+ContentTypeProbe.cache = new Map();
+ContentTypeProbe.cacheMaxEntries = 500;
+ContentTypeProbe.cacheMaxAge = 3600;
+ContentTypeProbe.failureCacheMaxAge = 30;
+
+ContentTypeProbe.timeout = 5000;
+ContentTypeProbe.sniffLength = 4096;
+
+// Content types that say nothing about the media, and should be sniffed instead
+ContentTypeProbe.genericContentTypes = [
+    "application/octet-stream",
+    "application/x-unknown",
+    "binary/octet-stream",
+    "text/plain"
+];
+
+/*
+* Probes a URL for its content type, and whether it is an endless stream.
+* Resolves to { contentType, live }, where contentType is null if it could not be detected.
+*/
+ContentTypeProbe.probeAsync = function(url) {
+    let cached = ContentTypeProbe.cache.get(url);
+    if (cached && Date.now() - cached.created < cached.maxAge * 1000) {
+        return Promise.resolve(cached.result);
+    }
+
+    return ContentTypeProbe.headAsync(url)
+        .catch(() => null)
+        .then(result => {
+            if (result && result.contentType) return result;
+
+            // Servers that reject HEAD, or send a generic type, are sniffed from the first bytes
+            return ContentTypeProbe.sniffAsync(url)
+                .catch(() => null)
+                .then(sniffed => {
+                    if (!sniffed) return result;
+
+                    return {
+                        contentType: sniffed.contentType,
+                        live: (result && result.live) || sniffed.live
+                    };
+                });
+        })
+        .then(result => {
+            // Failed probes are only cached briefly, long enough for a single command not to wait on the
+            // same unreachable server repeatedly, as the server may just be temporarily unreachable
+            let maxAge = ContentTypeProbe.cacheMaxAge;
+            if (!result || (!result.contentType && !result.live)) {
+                result = { contentType: null, live: false };
+                maxAge = ContentTypeProbe.failureCacheMaxAge;
+            }
+
+            ContentTypeProbe.cache.delete(url);
+            ContentTypeProbe.cache.set(url, { result: result, created: Date.now(), maxAge: maxAge });
+            if (ContentTypeProbe.cache.size > ContentTypeProbe.cacheMaxEntries) {
+                ContentTypeProbe.cache.delete(ContentTypeProbe.cache.keys().next().value);
+            }
+
+            return result;
+        });
+};
+
+/*
+* Gets the content type from the headers of a HEAD request
+*/
+ContentTypeProbe.headAsync = function(url) {
+    return new Promise((resolve, reject) => {
+        httpClient.head({ url: url, timeout: ContentTypeProbe.timeout }, (error, response) => {
+            if (error) return reject(error);
+            if (response.statusCode >= 400) return reject(new Error("HEAD failed with status " + response.statusCode));
+
+            resolve({
+                contentType: ContentTypeProbe.getHeaderContentType(response.headers),
+                live: ContentTypeProbe.isLive(response.headers)
+            });
+        });
+    });
+};
+
+/*
+* Gets the content type by sniffing the first bytes of a ranged GET request
+*/
+ContentTypeProbe.sniffAsync = function(url) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let length = 0;
+        let headers = null;
+        let done = false;
+
+        let finish = function() {
+            if (done) return;
+            done = true;
+            request.abort();
+
+            let data = Buffer.concat(chunks);
+            resolve({
+                contentType: ContentTypeProbe.sniff(data) || ContentTypeProbe.getHeaderContentType(headers),
+                live: ContentTypeProbe.isLive(headers)
+            });
+        };
+
+        // Endless streams ignore the range, so the request is aborted once enough has been read
+        let request = httpClient.get({
+            url: url,
+            timeout: ContentTypeProbe.timeout,
+            encoding: null,
+            headers: { "Range": "bytes=0-" + (ContentTypeProbe.sniffLength - 1) }
+        });
+
+        request.on('response', response => {
+            if (response.statusCode >= 400) {
+                done = true;
+                request.abort();
+                return reject(new Error("GET failed with status " + response.statusCode));
+            }
+
+            headers = response.headers;
+        });
+        request.on('data', chunk => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= ContentTypeProbe.sniffLength) finish();
+        });
+        request.on('end', () => finish());
+        request.on('error', error => {
+            if (done) return;
+            done = true;
+            reject(error);
+        });
+    });
+};
+
+/*
+* Gets a specific content type from response headers, or null for a missing or generic one
+*/
+ContentTypeProbe.getHeaderContentType = function(headers) {
+    let contentType = headers && headers["content-type"];
+    if (!contentType) return null;
+
+    contentType = contentType.split(";")[0].trim();
+    if (ContentTypeProbe.genericContentTypes.includes(contentType.toLowerCase())) return null;
+
+    return contentType;
+};
+
+/*
+* Checks response headers for an Icecast / SHOUTcast style endless stream
+*/
+ContentTypeProbe.isLive = function(headers) {
+    if (!headers) return false;
+
+    return Object.keys(headers).some(header => header.startsWith("icy-") || header.startsWith("ice-"));
+};
+
+/*
+* Detects a content type from magic bytes, or null if unknown
+*/
+ContentTypeProbe.sniff = function(data) {
+    let ascii = function(start, end) {
+        return data.toString("latin1", start, end);
+    };
+
+    if (data.length < 4) return null;
+
+    // Text formats
+    let text = ascii(0, Math.min(data.length, 1024)).replace(/^\xEF\xBB\xBF/, "").trimStart();
+    if (text.startsWith("#EXTM3U")) return /#EXT-X-/.test(text) ? "application/x-mpegURL" : "audio/x-mpegurl";
+    if (/^\[playlist\]/i.test(text)) return "audio/x-scpls";
+    if (text.startsWith("WEBVTT")) return "text/vtt";
+    if (text.startsWith("<")) {
+        if (/<MPD[\s>]/.test(text)) return "application/dash+xml";
+        if (/<playlist[\s>]/.test(text) && /xspf/i.test(text)) return "application/xspf+xml";
+    }
+
+    // Containers
+    if (ascii(0, 4) === "OggS") {
+        return /theora/i.test(ascii(0, Math.min(data.length, 128))) ? "video/ogg" : "audio/ogg";
+    }
+    if (ascii(0, 4) === "fLaC") return "audio/flac";
+    if (ascii(0, 4) === "RIFF" && data.length >= 12) {
+        switch (ascii(8, 12)) {
+            case "WAVE": return "audio/wav";
+            case "AVI ": return "video/x-msvideo";
+            case "WEBP": return "image/webp";
+        }
+    }
+    if (data.length >= 12 && ascii(4, 8) === "ftyp") {
+        switch (ascii(8, 12)) {
+            case "M4A ":
+            case "M4B ":
+                return "audio/mp4";
+            case "qt  ":
+                return "video/quicktime";
+            default:
+                return "video/mp4";
+        }
+    }
+    if (data[0] === 0x1A && data[1] === 0x45 && data[2] === 0xDF && data[3] === 0xA3) {
+        return /webm/.test(ascii(0, Math.min(data.length, 64))) ? "video/webm" : "video/x-matroska";
+    }
+    if (data[0] === 0x47 && data.length > 188 && data[188] === 0x47) return "video/mp2t";
+
+    // Images
+    if (data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) return "image/jpeg";
+    if (data[0] === 0x89 && ascii(1, 4) === "PNG") return "image/png";
+    if (ascii(0, 4) === "GIF8") return "image/gif";
+
+    // Raw audio frames
+    if (ascii(0, 3) === "ID3") return "audio/mpeg";
+    if (data[0] === 0xFF && (data[1] & 0xF6) === 0xF0) return "audio/aac";
+    if (data[0] === 0xFF && (data[1] & 0xE0) === 0xE0 && (data[1] & 0x06) !== 0) return "audio/mpeg";
+
+    return null;
+};
+
+module.exports = ContentTypeProbe;
@@ -30,8 +30,16 @@ DefaultMediaReceiver.prototype.queueReorder = function(itemIds, options, callbac
     this.media.queueReorder.apply(this.media, arguments);
 };
 
-DefaultMediaReceiver.prototype.queueUpdate = function(items, callback) {
+DefaultMediaReceiver.prototype.queueUpdate = function(items, options, callback) {
     this.media.queueUpdate.apply(this.media, arguments);
 };
 
+DefaultMediaReceiver.prototype.queueGetItemIds = function(callback) {
+    this.media.queueGetItemIds.apply(this.media, arguments);
+};
+
+DefaultMediaReceiver.prototype.queueGetItems = function(itemIds, callback) {
+    this.media.queueGetItems.apply(this.media, arguments);
+};
+
 module.exports = DefaultMediaReceiver;
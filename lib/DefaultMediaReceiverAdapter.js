@@ -1,6 +1,24 @@
 "use strict";
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
 const util = require('util');
+const httpClient = require('request');
 const DefaultMediaReceiver = require('./DefaultMediaReceiver');
+const CommandTtsProvider = require('./CommandTtsProvider');
+const ContentTypeProbe = require('./ContentTypeProbe');
+const GoogleTtsProvider = require('./GoogleTtsProvider');
+const HttpTtsProvider = require('./HttpTtsProvider');
+const MediaTagReader = require('./MediaTagReader');
+const MetadataBuilder = require('./MetadataBuilder');
+const PlaylistParser = require('./PlaylistParser');
+const Slideshow = require('./Slideshow');
+const Transcoder = require('./Transcoder');
+const StatusEventTracker = require('./StatusEventTracker');
+const SubtitleConverter = require('./SubtitleConverter');
+const TtsCache = require('./TtsCache');
+
+const readFileAsync = util.promisify(fs.readFile);
 
 function DefaultMediaReceiverAdapter() {}
 DefaultMediaReceiverAdapter.castV2App = DefaultMediaReceiver;
@@ -16,8 +34,17 @@ DefaultMediaReceiverAdapter.initReceiver = function(node, receiver) {
     receiver.playAsync = util.promisify(receiver.play);
     receiver.seekAsync = util.promisify(receiver.seek);
     receiver.stopAsync = util.promisify(receiver.stop);
+    receiver.setVolumeAsync = util.promisify(receiver.setVolume);
+    receiver.editTracksInfoAsync = util.promisify(receiver.editTracksInfo);
+    receiver.setPlaybackRateAsync = util.promisify(receiver.setPlaybackRate);
     receiver.queueNextAsync = util.promisify(receiver.queueNext);
     receiver.queuePrevAsync = util.promisify(receiver.queuePrev);
+    receiver.queueInsertAsync = util.promisify(receiver.queueInsert);
+    receiver.queueRemoveAsync = util.promisify(receiver.queueRemove);
+    receiver.queueReorderAsync = util.promisify(receiver.queueReorder);
+    receiver.queueUpdateAsync = util.promisify(receiver.queueUpdate);
+    receiver.queueGetItemIdsAsync = util.promisify(receiver.queueGetItemIds);
+    receiver.queueGetItemsAsync = util.promisify(receiver.queueGetItems);
 
     return receiver;
 };
@@ -25,74 +52,998 @@ DefaultMediaReceiverAdapter.initReceiver = function(node, receiver) {
 /*
 * App command handler
 */
-DefaultMediaReceiverAdapter.sendAppCommandAsync = function(receiver, command) {
+DefaultMediaReceiverAdapter.sendAppCommandAsync = function(node, receiver, command) {
     // Check for load commands
     if (command.type === "MEDIA" && command.media) {
-        if (Array.isArray(command.media)) {
+        DefaultMediaReceiverAdapter.validateLoadOptions(command.mediaOptions || {});
+
+        let applyTranscode = media => DefaultMediaReceiverAdapter.applyTranscode(command, media);
+
+        let loadQueueAsync = function(media) {
             // Queue handling
             let mediaOptions = command.mediaOptions || { startIndex: 0, repeatMode: "REPEAT_OFF" };
-            let queueItems = DefaultMediaReceiverAdapter.buildQueueItems(command.media);
-            return receiver.queueLoadAsync(queueItems, mediaOptions);
-        } else {
-            // Single media handling
-            let mediaOptions = command.mediaOptions || { autoplay: true };
-            return receiver.loadAsync(DefaultMediaReceiverAdapter.buildMediaObject(command.media), mediaOptions);
+            return DefaultMediaReceiverAdapter.resolveMediaListAsync(node, media)
+                .then(media => DefaultMediaReceiverAdapter.releaseAfterAsync(node, receiver, media,
+                    receiver.queueLoadAsync(DefaultMediaReceiverAdapter.buildQueueItems(media), mediaOptions)
+                        .then(status => {
+                            // Receivers may ignore the playback rate of queue loads, so the rate is also set once loaded
+                            if (typeof mediaOptions.playbackRate === "undefined" || mediaOptions.playbackRate === 1) {
+                                return status;
+                            }
+
+                            return receiver.getStatusAsync().then(() => receiver.setPlaybackRateAsync(mediaOptions.playbackRate));
+                        })));
+        };
+
+        if (Array.isArray(command.media)) {
+            return DefaultMediaReceiverAdapter.expandPlaylistsAsync(node, command.media.map(applyTranscode))
+                .then(media => loadQueueAsync(media));
         }
+
+        // Playlist files are expanded into their entries, so a single playlist loads as a queue
+        return DefaultMediaReceiverAdapter.expandPlaylistAsync(node, applyTranscode(command.media))
+            .then(expandedMedia => {
+                if (Array.isArray(expandedMedia)) {
+                    return loadQueueAsync(expandedMedia);
+                } else {
+                    // Single media handling
+                    let mediaOptions = command.mediaOptions || { autoplay: true };
+                    return DefaultMediaReceiverAdapter.resolveMediaAsync(node, expandedMedia)
+                        .then(media => {
+                            // Subtitles marked active are enabled on load unless track ids were passed explicitly
+                            let loadOptions = mediaOptions;
+                            if (typeof mediaOptions.activeTrackIds === "undefined") {
+                                loadOptions = Object.assign({}, mediaOptions, { activeTrackIds: DefaultMediaReceiverAdapter.getActiveTrackIds(media) });
+                            }
+
+                            return DefaultMediaReceiverAdapter.releaseAfterAsync(node, receiver, [media],
+                                receiver.loadAsync(DefaultMediaReceiverAdapter.buildMediaObject(media), loadOptions));
+                        });
+                }
+            });
     } else if (command.type === "TTS" && command.text) {
-        let speed = command.speed || 1;
-        let language = command.language || "en";
+        let ttsOptions = {
+            speed: command.speed || 1,
+            language: command.language || "en",
+            voice: command.voice
+        };
 
-        // Get castable URL
-        let metadata = command.metadata || {};
+        let metadata = Object.assign({}, command.metadata);
         metadata.title = metadata.title || "tts";
 
-        let url = "https://translate.google.com/translate_tts?ie=UTF-8&client=tw-ob&tl=" + language + "&q=" + encodeURIComponent(command.text);
-        let media = DefaultMediaReceiverAdapter.buildMediaObject({ url: url, contentType: "audio/mp3", metadata: metadata });
+        // Long text is split into segments the provider can handle, played back as a single queue
+        let provider = DefaultMediaReceiverAdapter.getTtsProvider(node, command);
+        let segments = DefaultMediaReceiverAdapter.splitText(command.text, provider.maxLength);
+
+        // Get castable media from the selected provider, or the cache
+        return Promise.all(segments.map(segment => DefaultMediaReceiverAdapter.synthesizeAsync(node, provider, segment, ttsOptions)))
+            .then(ttsSegments => DefaultMediaReceiverAdapter.resolveMediaListAsync(node, ttsSegments.map(tts => Object.assign({}, tts, { metadata: metadata }))))
+            .then(media => {
+                if (media.length === 1) {
+                    return DefaultMediaReceiverAdapter.releaseAfterAsync(node, receiver, media,
+                        receiver.loadAsync(DefaultMediaReceiverAdapter.buildMediaObject(media[0]), { autoplay: true }));
+                }
+
+                return DefaultMediaReceiverAdapter.releaseAfterAsync(node, receiver, media,
+                    receiver.queueLoadAsync(DefaultMediaReceiverAdapter.buildQueueItems(media), { startIndex: 0, repeatMode: "REPEAT_OFF" }));
+            });
+    } else if (command.type === "SLIDESHOW" && (command.images || command.directory)) {
+        return DefaultMediaReceiverAdapter.startSlideshowAsync(node, receiver, command);
+    } else if (command.type === "QUEUE_INSERT" && command.media) {
+        let media = (Array.isArray(command.media) ? command.media : [command.media])
+            .map(item => DefaultMediaReceiverAdapter.applyTranscode(command, item));
+        let queueOptions = DefaultMediaReceiverAdapter.buildQueueOptions(command);
+
+        // Playlist files are expanded into their entries, as when loading a queue
+        return DefaultMediaReceiverAdapter.getActiveStatusAsync(receiver)
+            .then(status => DefaultMediaReceiverAdapter.expandPlaylistsAsync(node, media))
+            .then(media => DefaultMediaReceiverAdapter.resolveMediaListAsync(node, media))
+            .then(media => DefaultMediaReceiverAdapter.releaseAfterAsync(node, receiver, media,
+                receiver.queueInsertAsync(DefaultMediaReceiverAdapter.buildQueueItems(media), queueOptions)));
+    } else if (command.type === "QUEUE_REMOVE" && command.itemIds) {
+        let itemIds = Array.isArray(command.itemIds) ? command.itemIds : [command.itemIds];
+        let queueOptions = DefaultMediaReceiverAdapter.buildQueueOptions(command);
 
-        return receiver.loadAsync(media, { autoplay: true });
+        return DefaultMediaReceiverAdapter.getActiveStatusAsync(receiver)
+            .then(status => receiver.queueRemoveAsync(itemIds, queueOptions));
+    } else if (command.type === "QUEUE_REORDER" && command.itemIds) {
+        let itemIds = Array.isArray(command.itemIds) ? command.itemIds : [command.itemIds];
+        let queueOptions = DefaultMediaReceiverAdapter.buildQueueOptions(command);
+
+        return DefaultMediaReceiverAdapter.getActiveStatusAsync(receiver)
+            .then(status => receiver.queueReorderAsync(itemIds, queueOptions));
+    } else if (command.type === "QUEUE_UPDATE") {
+        // Items are optional here, as a jump or repeat mode change alone is a valid update
+        let media = (command.media ? (Array.isArray(command.media) ? command.media : [command.media]) : [])
+            .map(item => DefaultMediaReceiverAdapter.isItemReference(item) ? item : DefaultMediaReceiverAdapter.applyTranscode(command, item));
+        let queueOptions = DefaultMediaReceiverAdapter.buildQueueOptions(command);
+
+        // Items with only an itemId change existing items, and have no media to resolve
+        return DefaultMediaReceiverAdapter.getActiveStatusAsync(receiver)
+            .then(status => Promise.all(media.map(item => DefaultMediaReceiverAdapter.isItemReference(item)
+                ? item
+                : DefaultMediaReceiverAdapter.expandUpdateItemAsync(node, item))))
+            .then(media => Promise.all([].concat(...media).map(item => DefaultMediaReceiverAdapter.isItemReference(item)
+                ? item
+                : DefaultMediaReceiverAdapter.resolveMediaAsync(node, item))))
+            .then(media => DefaultMediaReceiverAdapter.releaseAfterAsync(node, receiver, media,
+                receiver.queueUpdateAsync(DefaultMediaReceiverAdapter.buildQueueItems(media), queueOptions)));
     } else {
         throw new Error("Unknown command");
     }
 };
 
+/*
+* Reloads media captured before an announcement at the saved position.
+* Content hosted for the media, held during the announcement, is released once the resumed playback finishes.
+*/
+DefaultMediaReceiverAdapter.resumeAsync = function(node, receiver, snapshot) {
+    let status = snapshot.status;
+    let held = [{ hostedIds: snapshot.hostedIds || [] }];
+    if (status.playerState === "IDLE") {
+        node.releaseHostedContent(snapshot.hostedIds);
+        return Promise.resolve();
+    }
+
+    let autoplay = status.playerState !== "PAUSED";
+    let queue = snapshot.queue;
+    if (queue && queue.items.length > 1) {
+        // Item ids are assigned by the receiver, so they have to be stripped to reload the queue
+        let queueItems = queue.items.map(item => {
+            let queueItem = Object.assign({}, item);
+            delete queueItem.itemId;
+
+            return queueItem;
+        });
+        let queueOptions = {
+            startIndex: Math.max(0, queue.items.findIndex(item => item.itemId === queue.currentItemId)),
+            currentTime: status.currentTime,
+            repeatMode: queue.repeatMode || "REPEAT_OFF"
+        };
+
+        return DefaultMediaReceiverAdapter.releaseAfterAsync(node, receiver, held, receiver.queueLoadAsync(queueItems, queueOptions)
+            .then(queueStatus => {
+                if (!autoplay) {
+                    return receiver.getStatusAsync().then(() => receiver.pauseAsync());
+                }
+
+                return queueStatus;
+            }));
+    }
+
+    return DefaultMediaReceiverAdapter.releaseAfterAsync(node, receiver, held,
+        receiver.loadAsync(status.media, { autoplay: autoplay, currentTime: status.currentTime }));
+};
+
+/*
+* Synthesizes text through the selected provider, serving repeated text from the TTS cache if enabled
+*/
+DefaultMediaReceiverAdapter.synthesizeAsync = function(node, provider, text, ttsOptions) {
+    let cache = DefaultMediaReceiverAdapter.getTtsCache(node);
+    if (!cache) {
+        return provider.synthesizeAsync(text, ttsOptions);
+    }
+
+    let key = TtsCache.getKey(text, ttsOptions, provider.cacheId);
+
+    return cache.getAsync(key)
+        .then(entry => {
+            if (entry) return entry;
+
+            // Providers returning a URL are downloaded so the cache can serve them locally
+            return provider.synthesizeAsync(text, ttsOptions)
+                .then(tts => tts.data
+                    ? tts
+                    : DefaultMediaReceiverAdapter.downloadAsync(tts.url).then(data => ({ data: data, contentType: tts.contentType })))
+                .then(tts => cache.putAsync(key, tts.data, tts.contentType));
+        })
+        .then(entry => {
+            let hosted = node.clientNode.mediaServer.hostFile(entry.file, entry.contentType);
+
+            return { url: hosted.url, hostedIds: [hosted.id], contentType: entry.contentType };
+        });
+};
+
+/*
+* Splits text into segments of at most maxLength characters on sentence, then word boundaries
+*/
+DefaultMediaReceiverAdapter.splitText = function(text, maxLength) {
+    text = text.replace(/\s+/g, " ").trim();
+    if (!maxLength || text.length <= maxLength) {
+        return [text];
+    }
+
+    let segments = [];
+    let current = "";
+    let append = function(part, separator) {
+        if (current.length === 0) {
+            current = part;
+        } else if (current.length + separator.length + part.length <= maxLength) {
+            current += separator + part;
+        } else {
+            segments.push(current);
+            current = part;
+        }
+    };
+
+    let sentences = text.match(/[^.!?;:]+(?:[.!?;:]+|$)/g) || [text];
+    sentences.map(sentence => sentence.trim()).filter(sentence => sentence.length > 0).forEach(sentence => {
+        if (sentence.length <= maxLength) {
+            return append(sentence, " ");
+        }
+
+        // Sentence too long on its own, fall back to words, and hard splits for very long words
+        sentence.split(" ").forEach(word => {
+            while (word.length > maxLength) {
+                append(word.slice(0, maxLength), " ");
+                word = word.slice(maxLength);
+            }
+
+            append(word, " ");
+        });
+    });
+
+    if (current.length > 0) {
+        segments.push(current);
+    }
+
+    return segments;
+};
+
+/*
+* Gets the TTS cache, if enabled and the media server is available to serve it
+*/
+DefaultMediaReceiverAdapter.getTtsCache = function(node) {
+    let settings = (node.settings && node.settings.tts) || {};
+    if (!settings.cacheEnabled || !settings.cacheDirectory || !node.clientNode.mediaServer) {
+        return null;
+    }
+
+    return new TtsCache({
+        directory: settings.cacheDirectory,
+        maxAge: settings.cacheMaxAge,
+        maxSize: settings.cacheMaxSize
+    });
+};
+
+/*
+* Downloads a URL to a buffer
+*/
+DefaultMediaReceiverAdapter.downloadAsync = function(url) {
+    return new Promise((resolve, reject) => {
+        httpClient.get({ url: url, encoding: null }, (error, response, body) => {
+            if (error) return reject(error);
+            if (response.statusCode !== 200) return reject(new Error("Download failed with status " + response.statusCode));
+
+            resolve(body);
+        });
+    });
+};
+
+/*
+* Gets the TTS provider for a command, defaulting to the sender setting
+*/
+DefaultMediaReceiverAdapter.getTtsProvider = function(node, command) {
+    let settings = (node.settings && node.settings.tts) || {};
+    let providerName = command.provider || settings.provider || GoogleTtsProvider.NAME;
+
+    switch (providerName) {
+        case GoogleTtsProvider.NAME:
+            return new GoogleTtsProvider(settings);
+            break;
+        case HttpTtsProvider.NAME:
+            return new HttpTtsProvider(settings);
+            break;
+        case CommandTtsProvider.NAME:
+            return new CommandTtsProvider(settings);
+            break;
+        default:
+            throw new Error("Unknown TTS provider");
+            break;
+    }
+};
+
+/*
+* Starts a slideshow of image URLs or the images of a media root directory
+*/
+DefaultMediaReceiverAdapter.startSlideshowAsync = function(node, receiver, command) {
+    if (typeof command.interval !== "undefined" && !(typeof command.interval === "number" && command.interval >= 1)) {
+        throw new Error("Invalid interval, expected at least 1 second");
+    }
+
+    let imagesPromise;
+    if (command.directory) {
+        imagesPromise = DefaultMediaReceiverAdapter.getMediaServer(node).listFilesAsync(command.directory)
+            .then(files => files
+                .filter(file => DefaultMediaReceiverAdapter.getContentType(file).startsWith("image/"))
+                .map(file => ({ file: file })));
+    } else {
+        let images = Array.isArray(command.images) ? command.images : [command.images];
+        imagesPromise = Promise.resolve(images.map(image => typeof image === "string" ? { url: image } : image));
+    }
+
+    return imagesPromise
+        .then(images => {
+            if (images.length === 0) {
+                throw new Error("Slideshow has no images");
+            }
+
+            return DefaultMediaReceiverAdapter.resolveMediaListAsync(node, images);
+        })
+        .then(slides => {
+            let slideshow = new Slideshow(slides, command, slide =>
+                receiver.loadAsync(DefaultMediaReceiverAdapter.buildMediaObject(slide), { autoplay: true }));
+
+            slideshow.on("slide", slide => {
+                node.status({ fill: "green", shape: "dot", text: "slideshow " + (slide.index + 1) + "/" + slide.count });
+            });
+
+            slideshow.once("stop", () => {
+                if (node.slideshow === slideshow) {
+                    node.slideshow = null;
+                }
+
+                // Hosted in memory images are only needed while the slideshow runs
+                let mediaServer = node.clientNode.mediaServer;
+                slides.forEach(slide => (slide.hostedIds || []).forEach(id => mediaServer.release(id)));
+
+                if (node.receiver) {
+                    node.status({ fill: "green", shape: "dot", text: "joined" });
+                }
+            });
+
+            slideshow.on("error", error => node.error("Slideshow stopped: " + error.message));
+
+            node.slideshow = slideshow;
+
+            return slideshow.startAsync()
+                .catch(error => {
+                    slideshow.stop();
+                    throw error;
+                });
+        });
+};
+
+/*
+* Gets current media status, initializing the media session for session requests
+*/
+DefaultMediaReceiverAdapter.getActiveStatusAsync = function(receiver) {
+    return receiver.getStatusAsync()
+        .then(status => {
+            // Queue edits require an active media session
+            if (!status) throw new Error("not playing");
+
+            return status;
+        });
+};
+
+/*
+* Gets the current queue contents
+*/
+DefaultMediaReceiverAdapter.getQueueAsync = function(receiver, status, command) {
+    return receiver.queueGetItemIdsAsync()
+        .then(itemIds => {
+            // Allow fetching a subset of the queue
+            let requestedItemIds = command.itemIds
+                ? itemIds.filter(itemId => command.itemIds.includes(itemId))
+                : itemIds;
+
+            if (requestedItemIds.length === 0) {
+                return [];
+            }
+
+            return receiver.queueGetItemsAsync(requestedItemIds);
+        })
+        .then(items => {
+            return {
+                currentItemId: status.currentItemId,
+                repeatMode: status.repeatMode,
+                items: items
+            };
+        });
+};
+
+/*
+* Build queue request options from a queue command
+*/
+DefaultMediaReceiverAdapter.buildQueueOptions = function(command) {
+    let queueOptions = {};
+    ["currentItemId", "currentItemIndex", "currentTime", "insertBefore", "jump", "repeatMode"].forEach(option => {
+        if (typeof command[option] !== "undefined") {
+            queueOptions[option] = command[option];
+        }
+    });
+
+    return queueOptions;
+};
+
+/*
+* Resolves a media argument to a castable URL
+*/
+DefaultMediaReceiverAdapter.resolveMediaAsync = function(node, media) {
+    return new Promise(resolve => {
+        DefaultMediaReceiverAdapter.validateMedia(media);
+
+        if (media.file) {
+            // Local files are served by the connection media server
+            let mediaServer = DefaultMediaReceiverAdapter.getMediaServer(node);
+            let fileUrl = mediaServer.getFileUrl(media.file);
+
+            // Embedded tags fill in any metadata fields not given
+            resolve(DefaultMediaReceiverAdapter.readTagsAsync(node, media, mediaServer.resolvePath(media.file))
+                .then(taggedMedia => Object.assign(taggedMedia, {
+                    url: fileUrl,
+                    title: taggedMedia.title || path.basename(media.file)
+                })));
+        } else if (Buffer.isBuffer(media.data)) {
+            // In memory content is hosted at a short lived URL by the connection media server
+            let mediaServer = DefaultMediaReceiverAdapter.getMediaServer(node);
+            if (!media.contentType) {
+                throw new Error("Media data requires a contentType");
+            }
+
+            let hosted = mediaServer.hostBuffer(media.data, media.contentType, media.ttl);
+            let hostedMedia = Object.assign({}, media, { url: hosted.url, hostedIds: [hosted.id], title: media.title || "media" });
+            delete hostedMedia.data;
+
+            resolve(hostedMedia);
+        } else if (media.url || media.contentId || media.contentUrl || media.entity) {
+            resolve(media);
+        } else {
+            throw new Error("Media requires a url or file");
+        }
+    })
+    .then(media => DefaultMediaReceiverAdapter.probeMediaAsync(media))
+    .then(media => DefaultMediaReceiverAdapter.transcodeMedia(node, media))
+    .then(media => DefaultMediaReceiverAdapter.resolveTextTracksAsync(node, media));
+};
+
+/*
+* Probes remote media without a content type, picking a LIVE stream type for endless streams
+*/
+DefaultMediaReceiverAdapter.probeMediaAsync = function(media) {
+    if (media.contentType || media.file || !(media.url || media.contentUrl) || Buffer.isBuffer(media.data)) {
+        return Promise.resolve(media);
+    }
+
+    return ContentTypeProbe.probeAsync(media.contentUrl || media.url)
+        .then(result => {
+            let probedMedia = Object.assign({}, media);
+            if (result.contentType) probedMedia.contentType = result.contentType;
+            if (result.live && !media.streamType) probedMedia.streamType = "LIVE";
+
+            return probedMedia;
+        });
+};
+
+/*
+* Substitutes a transcoding proxy URL for media the cast device can't play, if transcoding is enabled on the connection
+*/
+DefaultMediaReceiverAdapter.transcodeMedia = function(node, media) {
+    let transcoder = node.clientNode.transcoder;
+    if (!transcoder && !media.transcode) {
+        return media;
+    }
+
+    let location = media.file || media.url;
+    if (!location) {
+        return media;
+    }
+
+    // Unknown extensions leave the content type unknown, rather than picking a profile from a fallback type
+    let fileName = location.split("/").slice(-1)[0].split("?")[0];
+    let contentType = media.contentType || DefaultMediaReceiverAdapter.lookupContentType(fileName);
+    let profile = Transcoder.getProfile(location, contentType, media.transcode);
+    if (!profile) {
+        return media;
+    }
+
+    if (!transcoder) {
+        throw new Error("Transcoding not enabled");
+    }
+
+    // Local files are read by ffmpeg directly, from under the media root only, and everything else through its URL
+    if (!media.file && !Transcoder.isRemoteSource(media.url)) {
+        throw new Error("Transcoding requires a file, or an http, https, rtsp or rtmp URL");
+    }
+
+    let mediaServer = DefaultMediaReceiverAdapter.getMediaServer(node);
+    let source = media.file ? mediaServer.resolvePath(media.file) : media.url;
+    let hosted = mediaServer.hostStream(() => transcoder.createStream(source, profile), Transcoder.profiles[profile].contentType, 6 * 3600);
+
+    let transcodedMedia = Object.assign({}, media, {
+        url: hosted.url,
+        contentType: Transcoder.profiles[profile].contentType,
+        title: media.title || fileName,
+        hostedIds: (media.hostedIds || []).concat(hosted.id)
+    });
+
+    if (Transcoder.isLive(location) && !media.streamType) {
+        transcodedMedia.streamType = "LIVE";
+    }
+
+    return transcodedMedia;
+};
+
+/*
+* Resolves subtitle files and SRT text tracks to castable WebVTT URLs
+*/
+DefaultMediaReceiverAdapter.resolveTextTracksAsync = function(node, media) {
+    let subtitles = media.subtitles || [];
+    let tracks = media.tracks || [];
+    let hostedIds = (media.hostedIds || []).slice();
+
+    let subtitlesPromise = Promise.all(subtitles.map(subtitle => {
+        return DefaultMediaReceiverAdapter.resolveTextTrackAsync(node, subtitle.file, subtitle.url, subtitle.contentType)
+            .then(resolved => {
+                if (!resolved) return subtitle;
+
+                hostedIds.push(...resolved.hostedIds);
+
+                let resolvedSubtitle = Object.assign({}, subtitle, { url: resolved.url, contentType: resolved.contentType });
+                delete resolvedSubtitle.file;
+
+                return resolvedSubtitle;
+            });
+    }));
+
+    let tracksPromise = Promise.all(tracks.map(track => {
+        if (track.type !== "TEXT") {
+            return Promise.resolve(track);
+        }
+
+        return DefaultMediaReceiverAdapter.resolveTextTrackAsync(node, null, track.trackContentId, track.trackContentType)
+            .then(resolved => {
+                if (!resolved) return track;
+
+                hostedIds.push(...resolved.hostedIds);
+
+                return Object.assign({}, track, { trackContentId: resolved.url, trackContentType: resolved.contentType });
+            });
+    }));
+
+    return Promise.all([subtitlesPromise, tracksPromise])
+        .then(results => {
+            let resolvedMedia = Object.assign({}, media, { hostedIds: hostedIds });
+            if (media.subtitles) resolvedMedia.subtitles = results[0];
+            if (media.tracks) resolvedMedia.tracks = results[1];
+
+            return resolvedMedia;
+        });
+};
+
+/*
+* Resolves a single text track, converting SRT to WebVTT hosted by the media server.
+* Resolves to null if the track can be used as is.
+*/
+DefaultMediaReceiverAdapter.resolveTextTrackAsync = function(node, file, url, contentType) {
+    if (!SubtitleConverter.isSrt(file || url, contentType)) {
+        if (!file) return Promise.resolve(null);
+
+        let mediaServer = DefaultMediaReceiverAdapter.getMediaServer(node);
+
+        return Promise.resolve({ url: mediaServer.getFileUrl(file), contentType: contentType || "text/vtt", hostedIds: [] });
+    }
+
+    let mediaServer = DefaultMediaReceiverAdapter.getMediaServer(node);
+    let loadPromise = file
+        ? readFileAsync(mediaServer.resolvePath(file))
+        : DefaultMediaReceiverAdapter.downloadAsync(url);
+
+    return loadPromise
+        .then(data => {
+            // Subtitles stay hosted for the length of a long film, unless released when playback ends
+            let vtt = SubtitleConverter.srtToVtt(data.toString("utf8"));
+            let hosted = mediaServer.hostBuffer(Buffer.from(vtt, "utf8"), SubtitleConverter.VTT_CONTENT_TYPE, 6 * 3600);
+
+            return { url: hosted.url, contentType: SubtitleConverter.VTT_CONTENT_TYPE, hostedIds: [hosted.id] };
+        });
+};
+
+/*
+* Gets the connection media server, required for local and hosted content
+*/
+DefaultMediaReceiverAdapter.getMediaServer = function(node) {
+    let mediaServer = node.clientNode.mediaServer;
+    if (!mediaServer) {
+        throw new Error("Media server not enabled");
+    }
+
+    return mediaServer;
+};
+
+/*
+* Expands playlist media into their entries in place, leaving other media and HLS manifests as is
+*/
+DefaultMediaReceiverAdapter.expandPlaylistsAsync = function(node, media) {
+    return Promise.all(media.map(item => DefaultMediaReceiverAdapter.expandPlaylistAsync(node, item)))
+        .then(expandedMedia => [].concat(...expandedMedia));
+};
+
+/*
+* Applies a command level transcode setting to media that doesn't set its own
+*/
+DefaultMediaReceiverAdapter.applyTranscode = function(command, media) {
+    if (typeof command.transcode === "undefined" || typeof media.transcode !== "undefined") {
+        return media;
+    }
+
+    return Object.assign({ transcode: command.transcode }, media);
+};
+
+/*
+* Expands playlist media of a queue update, which can only replace an existing item with a single entry
+*/
+DefaultMediaReceiverAdapter.expandUpdateItemAsync = function(node, media) {
+    return DefaultMediaReceiverAdapter.expandPlaylistAsync(node, media)
+        .then(expandedMedia => {
+            if (!Array.isArray(expandedMedia) || typeof media.itemId === "undefined") {
+                return expandedMedia;
+            }
+
+            if (expandedMedia.length !== 1) {
+                throw new Error("Playlist for queue item " + media.itemId + " must have a single entry");
+            }
+
+            return Object.assign({}, expandedMedia[0], { itemId: media.itemId });
+        });
+};
+
+/*
+* Expands a single playlist media argument into a list of media arguments, or resolves to the media argument itself if not a playlist
+*/
+DefaultMediaReceiverAdapter.expandPlaylistAsync = function(node, media) {
+    return DefaultMediaReceiverAdapter.probeMediaAsync(media)
+        .then(probedMedia => {
+            let format = PlaylistParser.getFormat(probedMedia.file || probedMedia.url, probedMedia.contentType);
+            if (!format) {
+                // The probed content type is passed on, so the media isn't probed again when resolved
+                return probedMedia;
+            }
+
+            return DefaultMediaReceiverAdapter.loadPlaylistAsync(node, media, format);
+        });
+};
+
+/*
+* Loads and parses playlist media into a list of media arguments, or resolves to the media argument for HLS manifests
+*/
+DefaultMediaReceiverAdapter.loadPlaylistAsync = function(node, media, format) {
+    let loadPromise;
+    if (Buffer.isBuffer(media.data)) {
+        loadPromise = Promise.resolve(media.data);
+    } else if (media.file) {
+        loadPromise = new Promise(resolve => resolve(DefaultMediaReceiverAdapter.getMediaServer(node).resolvePath(media.file)))
+            .then(filePath => readFileAsync(filePath));
+    } else if (media.url) {
+        loadPromise = DefaultMediaReceiverAdapter.downloadAsync(media.url);
+    } else {
+        return Promise.resolve(media);
+    }
+
+    return loadPromise
+        .then(data => {
+            let text = data.toString("utf8");
+
+            // HLS manifests share the M3U format, but are streamed by the cast device itself, with segment format and stream type hints if missing
+            if (format === PlaylistParser.M3U && PlaylistParser.isHlsManifest(text)) {
+                let hints = PlaylistParser.getHlsSegmentFormats(text);
+                if (PlaylistParser.isHlsLive(text)) hints.streamType = "LIVE";
+
+                return Object.assign(hints, media);
+            }
+
+            let entries = PlaylistParser.parse(text, format);
+            if (entries.length === 0) {
+                throw new Error("Playlist is empty");
+            }
+
+            return entries.map(entry => DefaultMediaReceiverAdapter.buildPlaylistEntryMedia(media, entry));
+        });
+};
+
+/*
+* Builds a media argument for a playlist entry, resolving relative locations against the playlist
+*/
+DefaultMediaReceiverAdapter.buildPlaylistEntryMedia = function(playlist, entry) {
+    let entryMedia = {};
+    let location = entry.location;
+
+    if (/^file:/i.test(location)) {
+        entryMedia.file = url.fileURLToPath(location);
+    } else if (/^[a-z][a-z0-9+.-]*:/i.test(location)) {
+        entryMedia.url = location;
+    } else if (playlist.url) {
+        entryMedia.url = new URL(location, playlist.url).href;
+    } else {
+        // Entries of local or in memory playlists are files under the media root, relative to the playlist
+        location = location.replace(/\\/g, "/");
+        entryMedia.file = path.isAbsolute(location) ? location : path.join(path.dirname(playlist.file || ""), location);
+    }
+
+    ["title", "artist", "album", "image"].forEach(field => {
+        if (entry[field]) entryMedia[field] = entry[field];
+    });
+
+    let metadata = Object.assign({}, playlist.metadata);
+    delete metadata.title;
+    if (Object.keys(metadata).length > 0) entryMedia.metadata = metadata;
+
+    if (typeof entry.duration !== "undefined") entryMedia.duration = entry.duration;
+    if (playlist.streamType) entryMedia.streamType = playlist.streamType;
+    if (typeof playlist.transcode !== "undefined") entryMedia.transcode = playlist.transcode;
+
+    return entryMedia;
+};
+
+/*
+* Reads embedded tags of a local file into the plain metadata fields of a media argument, hosting any cover art
+*/
+DefaultMediaReceiverAdapter.readTagsAsync = function(node, media, filePath) {
+    return MediaTagReader.readAsync(filePath)
+        .catch(() => null)
+        .then(tags => {
+            if (!tags) return Object.assign({}, media);
+
+            let cover = tags.cover;
+            delete tags.cover;
+
+            // Fields given with the media always take precedence over tags
+            let taggedMedia = Object.assign(tags, media);
+            if (cover && !media.albumArt && !media.image && !media.images) {
+                let hosted = DefaultMediaReceiverAdapter.getMediaServer(node).hostBuffer(cover.data, cover.contentType, 6 * 3600);
+                taggedMedia.albumArt = hosted.url;
+                taggedMedia.hostedIds = (media.hostedIds || []).concat(hosted.id);
+            }
+
+            return taggedMedia;
+        });
+};
+
+/*
+* Resolves a list of media arguments to castable URLs
+*/
+DefaultMediaReceiverAdapter.resolveMediaListAsync = function(node, media) {
+    return Promise.all(media.map(item => DefaultMediaReceiverAdapter.resolveMediaAsync(node, item)));
+};
+
+/*
+* Releases hosted media once the load fails, or playback finishes
+*/
+DefaultMediaReceiverAdapter.releaseAfterAsync = function(node, receiver, media, loadPromise) {
+    let hostedIds = media.reduce((ids, item) => ids.concat(item.hostedIds || []), []);
+    if (hostedIds.length === 0) {
+        return loadPromise;
+    }
+
+    let mediaServer = node.clientNode.mediaServer;
+
+    // Pending releases are tracked on the node, so announcements can hold on to content they will resume
+    let pendingRelease = {
+        hostedIds: hostedIds,
+        detach: function() {
+            removeListeners();
+        }
+    };
+
+    let removeListeners = function() {
+        receiver.removeListener("status", onstatus);
+        receiver.removeListener("close", release);
+
+        let index = node.hostedReleases.indexOf(pendingRelease);
+        if (index !== -1) {
+            node.hostedReleases.splice(index, 1);
+        }
+    };
+
+    let release = function() {
+        removeListeners();
+        hostedIds.forEach(id => mediaServer.release(id));
+    };
+
+    // Content may also be released by its TTL expiring, after which there is nothing left to wait for
+    let pending = hostedIds.length;
+    hostedIds.forEach(id => mediaServer.onRelease(id, () => {
+        pending--;
+        if (pending === 0) {
+            removeListeners();
+        }
+    }));
+
+    let onstatus = function(status) {
+        // Wait for the whole queue to finish, not just the current item
+        if (StatusEventTracker.isPlaybackEnded(status)) {
+            release();
+        }
+    };
+
+    return loadPromise
+        .then(status => {
+            if (pending > 0) {
+                receiver.on("status", onstatus);
+                receiver.once("close", release);
+                node.hostedReleases.push(pendingRelease);
+            }
+
+            return status;
+        })
+        .catch(error => {
+            release();
+            throw error;
+        });
+};
+
 /*
 * Build a media object
 */
 DefaultMediaReceiverAdapter.buildMediaObject = function(media) {
-    let urlParts = media.url.split("/");
+    let contentId = media.contentId || media.url || media.contentUrl || media.entity;
+    let urlParts = (media.contentUrl || contentId).split("/");
     let fileName = urlParts.slice(-1)[0].split("?")[0];
-    let defaultMetadata = {
-        metadataType: 0,
-        title: fileName,
-        subtitle: null,
-        images: [
-            { url: "https://nodered.org/node-red-icon.png" }
-        ]
-    };
-    let metadata = Object.assign({}, defaultMetadata, media.metadata);
+    let contentType = media.contentType || DefaultMediaReceiverAdapter.getContentType(fileName);
+    let metadata = MetadataBuilder.build(Object.assign({}, media, { contentType: contentType }), fileName);
 
     return {
-        contentId : media.url,
-        contentType: media.contentType || DefaultMediaReceiverAdapter.getContentType(fileName),
+        contentId : contentId,
+        contentUrl: media.contentUrl,
+        entity: media.entity,
+        contentType: contentType,
         streamType: media.streamType || "BUFFERED",
+        duration: media.duration,
+        startAbsoluteTime: media.startAbsoluteTime,
+        hlsSegmentFormat: media.hlsSegmentFormat,
+        hlsVideoSegmentFormat: media.hlsVideoSegmentFormat,
         metadata: metadata,
+        customData: media.customData,
         textTrackStyle: media.textTrackStyle,
-        tracks: media.tracks
+        tracks: DefaultMediaReceiverAdapter.buildTracks(media)
     };
 };
 
+/*
+* Validates the optional LOAD fields of a media argument
+*/
+DefaultMediaReceiverAdapter.validateMedia = function(media) {
+    const hlsSegmentFormats = ["aac", "ac3", "e_ac3", "fmp4", "mp3", "ts", "ts_aac"];
+    const hlsVideoSegmentFormats = ["fmp4", "mpeg2_ts"];
+
+    DefaultMediaReceiverAdapter.validateFields(media, {
+        contentId: "string",
+        contentUrl: "string",
+        entity: "string",
+        duration: "number",
+        startAbsoluteTime: "number",
+        customData: "object"
+    });
+
+    if (typeof media.hlsSegmentFormat !== "undefined" && !hlsSegmentFormats.includes(media.hlsSegmentFormat)) {
+        throw new Error("Invalid hlsSegmentFormat, expected one of " + hlsSegmentFormats.join(", "));
+    }
+
+    if (typeof media.hlsVideoSegmentFormat !== "undefined" && !hlsVideoSegmentFormats.includes(media.hlsVideoSegmentFormat)) {
+        throw new Error("Invalid hlsVideoSegmentFormat, expected one of " + hlsVideoSegmentFormats.join(", "));
+    }
+};
+
+/*
+* Validates the optional LOAD request fields of media options
+*/
+DefaultMediaReceiverAdapter.validateLoadOptions = function(mediaOptions) {
+    DefaultMediaReceiverAdapter.validateFields(mediaOptions, {
+        customData: "object",
+        credentials: "string",
+        credentialsType: "string",
+        playbackRate: "number",
+        queueData: "object"
+    });
+
+    if (typeof mediaOptions.playbackRate !== "undefined" && (mediaOptions.playbackRate < 0.5 || mediaOptions.playbackRate > 2)) {
+        throw new Error("Invalid playbackRate, expected 0.5 to 2");
+    }
+};
+
+/*
+* Checks the types of optional fields
+*/
+DefaultMediaReceiverAdapter.validateFields = function(target, fieldTypes) {
+    Object.keys(fieldTypes).forEach(field => {
+        let value = target[field];
+        if (typeof value === "undefined") return;
+
+        let fieldType = fieldTypes[field];
+        let valid = fieldType === "object"
+            ? typeof value === "object" && value !== null && !Array.isArray(value)
+            : typeof value === fieldType && (fieldType !== "number" || isFinite(value));
+
+        if (!valid) {
+            throw new Error("Invalid " + field + ", expected " + fieldType);
+        }
+    });
+};
+
+/*
+* Builds the tracks array, appending text tracks for any subtitles
+*/
+DefaultMediaReceiverAdapter.buildTracks = function(media) {
+    if (!media.subtitles || media.subtitles.length === 0) {
+        return media.tracks;
+    }
+
+    let tracks = (media.tracks || []).slice();
+    let subtitleTrackIds = DefaultMediaReceiverAdapter.getSubtitleTrackIds(media);
+    media.subtitles.forEach((subtitle, index) => {
+        tracks.push({
+            trackId: subtitleTrackIds[index],
+            type: "TEXT",
+            subtype: subtitle.subtype || "SUBTITLES",
+            trackContentId: subtitle.url,
+            trackContentType: subtitle.contentType || "text/vtt",
+            language: subtitle.language,
+            name: subtitle.name || subtitle.language
+        });
+    });
+
+    return tracks;
+};
+
+/*
+* Gets the track ids assigned to subtitles, numbered after any explicit tracks
+*/
+DefaultMediaReceiverAdapter.getSubtitleTrackIds = function(media) {
+    let firstTrackId = (media.tracks || []).reduce((maxTrackId, track) => Math.max(maxTrackId, track.trackId), 0) + 1;
+
+    return (media.subtitles || []).map((subtitle, index) => firstTrackId + index);
+};
+
+/*
+* Gets the track ids of subtitles marked active
+*/
+DefaultMediaReceiverAdapter.getActiveTrackIds = function(media) {
+    let subtitleTrackIds = DefaultMediaReceiverAdapter.getSubtitleTrackIds(media);
+
+    return (media.subtitles || [])
+        .map((subtitle, index) => subtitle.active ? subtitleTrackIds[index] : null)
+        .filter(trackId => trackId !== null);
+};
+
+/*
+* Checks if a media argument only references an existing queue item by itemId, without any media
+*/
+DefaultMediaReceiverAdapter.isItemReference = function(media) {
+    return typeof media.itemId !== "undefined" &&
+        !(media.file || media.data || media.url || media.contentId || media.contentUrl || media.entity);
+};
+
 /*
 * Builds a queue item list from passed media arguments
 */
 DefaultMediaReceiverAdapter.buildQueueItems = function(media) {
+    const queueItemFields = ["autoplay", "preloadTime", "startTime", "playbackDuration", "activeTrackIds", "customData"];
+
     return media.map((item, index) => {
-        return {
+        if (DefaultMediaReceiverAdapter.isItemReference(item)) {
+            let itemReference = { itemId: item.itemId };
+            queueItemFields
+                .filter(field => typeof item[field] !== "undefined")
+                .forEach(field => itemReference[field] = item[field]);
+
+            return itemReference;
+        }
+
+        let queueItem = {
             autoplay: true,
             preloadTime: 5,
             orderId: index,
-            activeTrackIds: [],
+            activeTrackIds: DefaultMediaReceiverAdapter.getActiveTrackIds(item),
             media: DefaultMediaReceiverAdapter.buildMediaObject(item)
         };
+
+        // Existing items are referenced by itemId for queue updates
+        if (typeof item.itemId !== "undefined") {
+            queueItem.itemId = item.itemId;
+        }
+
+        return queueItem;
     })
 };
 
@@ -100,15 +1051,23 @@ DefaultMediaReceiverAdapter.buildQueueItems = function(media) {
 * Get content type for a URL
 */
 DefaultMediaReceiverAdapter.getContentType = function(fileName) {
+    return DefaultMediaReceiverAdapter.lookupContentType(fileName) || "audio/basic";
+};
+
+/*
+* Get content type for a URL from a known extension, or null if unknown
+*/
+DefaultMediaReceiverAdapter.lookupContentType = function(fileName) {
     const contentTypeMap = {
         "3gp": "video/3gpp",
-        aac: "video/mp4",
+        aac: "audio/aac",
         aif: "audio/x-aiff",
         aiff: "audio/x-aiff",
         aifc: "audio/x-aiff",
         avi: "video/x-msvideo",
         au: "audio/basic",
         bmp: "image/bmp",
+        flac: "audio/flac",
         flv: "video/x-flv",
         gif: "image/gif",
         ico: "image/x-icon",
@@ -118,6 +1077,7 @@ DefaultMediaReceiverAdapter.getContentType = function(fileName) {
         m3u: "audio/x-mpegurl",
         m3u8: "application/x-mpegURL",
         m4a: "audio/mp4",
+        m4v: "video/mp4",
         mid: "audio/mid",
         midi: "audio/mid",
         mov: "video/quicktime",
@@ -126,13 +1086,15 @@ DefaultMediaReceiverAdapter.getContentType = function(fileName) {
         mp2: "audio/x-mpeg",
         mp3: "audio/mp3",
         mp4: "audio/mp4",
+        mpd: "application/dash+xml",
         mjpg: "video/x-motion-jpeg",
         mjpeg: "video/x-motion-jpeg",
+        mkv: "video/x-matroska",
         mpe: "video/mpeg",
         mpeg: "video/mpeg",
         mpg: "video/mpeg",
         ogg: "audio/ogg",
-        ogv: "audio/ogg",
+        ogv: "video/ogg",
         png: "image/png",
         qt: "video/quicktime",
         ra: "audio/vnd.rn-realaudio",
@@ -144,17 +1106,19 @@ DefaultMediaReceiverAdapter.getContentType = function(fileName) {
         svg: "image/svg",
         tif: "image/tiff",
         tiff: "image/tiff",
+        ts: "video/mp2t",
+        vtt: "text/vtt",
         vp8: "video/webm",
         wav: "audio/vnd.wav",
         webm: "video/webm",
         webp: "image/webp",
+        wma: "audio/x-ms-wma",
         wmv: "video/x-ms-wmv"
     };
 
     let ext = fileName.split(".").slice(-1)[0];
-    let contentType = contentTypeMap[ext.toLowerCase()];
 
-    return contentType || "audio/basic";
+    return contentTypeMap[ext.toLowerCase()] || null;
 };
 
 module.exports = DefaultMediaReceiverAdapter;
\ No newline at end of file
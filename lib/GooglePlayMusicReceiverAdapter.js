@@ -14,6 +14,9 @@ GooglePlayMusicReceiverAdapter.initReceiver = function(node, receiver) {
     receiver.playAsync = util.promisify(receiver.play);
     receiver.seekAsync = util.promisify(receiver.seek);
     receiver.stopAsync = util.promisify(receiver.stop);
+    receiver.setVolumeAsync = util.promisify(receiver.setVolume);
+    receiver.editTracksInfoAsync = util.promisify(receiver.editTracksInfo);
+    receiver.setPlaybackRateAsync = util.promisify(receiver.setPlaybackRate);
     receiver.queueNextAsync = util.promisify(receiver.queueNext);
     receiver.queuePrevAsync = util.promisify(receiver.queuePrev);
 
@@ -23,7 +26,7 @@ GooglePlayMusicReceiverAdapter.initReceiver = function(node, receiver) {
 /*
 * App command handler
 */
-GooglePlayMusicReceiverAdapter.sendAppCommandAsync = function(receiver, command) {
+GooglePlayMusicReceiverAdapter.sendAppCommandAsync = function(node, receiver, command) {
     throw new Error("Unknown command");
 };
 
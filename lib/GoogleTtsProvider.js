@@ -0,0 +1,28 @@
+"use strict";
+
+const GOOGLE_TTS_URL = 'https://translate.google.com/translate_tts';
+
+function GoogleTtsProvider(options) {
+    // Identifies output of this provider configuration for caching
+    this.cacheId = 'google';
+
+    // Longer text silently fails to play, so it has to be split up
+    this.maxLength = 200;
+}
+
+GoogleTtsProvider.NAME = 'google';
+
+/*
+* Builds a Google Translate TTS URL for the cast device to fetch directly
+*/
+GoogleTtsProvider.prototype.synthesizeAsync = function(text, options) {
+    let url = GOOGLE_TTS_URL +
+        "?ie=UTF-8&client=tw-ob" +
+        "&tl=" + encodeURIComponent(options.language) +
+        "&ttsspeed=" + encodeURIComponent(options.speed) +
+        "&q=" + encodeURIComponent(text);
+
+    return Promise.resolve({ url: url, contentType: "audio/mp3" });
+};
+
+module.exports = GoogleTtsProvider;
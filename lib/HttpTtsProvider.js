@@ -0,0 +1,34 @@
+"use strict";
+
+function HttpTtsProvider(options) {
+    this.urlTemplate = options.urlTemplate;
+    this.contentType = options.contentType || "audio/mp3";
+
+    // Identifies output of this provider configuration for caching
+    this.cacheId = 'http:' + this.urlTemplate;
+}
+
+HttpTtsProvider.NAME = 'http';
+
+/*
+* Builds a URL from the configured template for the cast device to fetch directly
+* Supports {text}, {language}, {speed} and {voice} placeholders
+*/
+HttpTtsProvider.prototype.synthesizeAsync = function(text, options) {
+    if (!this.urlTemplate) {
+        return Promise.reject(new Error("TTS URL template not configured"));
+    }
+
+    let values = {
+        text: text,
+        language: options.language,
+        speed: options.speed,
+        voice: options.voice || ""
+    };
+
+    let url = this.urlTemplate.replace(/{(text|language|speed|voice)}/g, (match, key) => encodeURIComponent(values[key]));
+
+    return Promise.resolve({ url: url, contentType: this.contentType });
+};
+
+module.exports = HttpTtsProvider;
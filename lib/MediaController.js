@@ -7,6 +7,7 @@ function MediaController(client, sourceId, destinationId) {
     RequestResponseController.call(this, client, sourceId, destinationId, 'urn:x-cast:com.google.cast.media');
 
     this.currentSession = null;
+    this.currentSessionTime = null;
 
     this.on('message', onmessage);
     this.once('close', onclose);
@@ -18,7 +19,9 @@ function MediaController(client, sourceId, destinationId) {
             var status = data.status[0];
             // Sometimes an empty status array can come through; if so don't emit it
             if (!status) return;
+            normalizeStatus(status);
             self.currentSession = status;
+            self.currentSessionTime = Date.now();
             self.emit('status', status);
         }
     }
@@ -30,6 +33,11 @@ function MediaController(client, sourceId, destinationId) {
 
 util.inherits(MediaController, RequestResponseController);
 
+//Receivers may leave out the playback rate when playing at normal speed
+function normalizeStatus(status) {
+    if(typeof status.playbackRate !== 'number') status.playbackRate = 1;
+}
+
 MediaController.prototype.getStatus = function(callback) {
     var self = this;
 
@@ -37,12 +45,32 @@ MediaController.prototype.getStatus = function(callback) {
         if(err) return callback(err);
 
         var status = response.status[0];
+        if (status) normalizeStatus(status);
         self.currentSession = status;
+        self.currentSessionTime = Date.now();
 
         callback(null, status);
     });
 };
 
+//Estimate the current position from the last status, as status is only sent on state changes
+MediaController.prototype.getEstimatedTime = function() {
+    var status = this.currentSession;
+    if(!status) return null;
+
+    var time = status.currentTime || 0;
+    if(status.playerState === 'PLAYING') {
+        var playbackRate = (typeof status.playbackRate === 'number') ? status.playbackRate : 1;
+        time += (Date.now() - this.currentSessionTime) / 1000 * playbackRate;
+    }
+
+    if(status.media && status.media.duration) {
+        time = Math.min(time, status.media.duration);
+    }
+
+    return time;
+};
+
 MediaController.prototype.load = function(media, options, callback) {
     if(typeof options === 'function' || typeof options === 'undefined') {
         callback = options;
@@ -68,6 +96,12 @@ MediaController.prototype.load = function(media, options, callback) {
         ? options.repeatMode
         : "REPEAT_OFF";
 
+    //Optional fields, only sent when given
+    //See https://developers.google.com/cast/docs/reference/web_receiver/cast.framework.messages.LoadRequestData
+    ['customData', 'credentials', 'credentialsType', 'playbackRate', 'queueData'].forEach(function(field) {
+        if(typeof options[field] !== 'undefined') data[field] = options[field];
+    });
+
     data.media = media;
 
     this.request(data, function(err, response) {
@@ -121,6 +155,39 @@ MediaController.prototype.seek = function(currentTime, callback) {
     this.sessionRequest(data, callback);
 };
 
+//Set stream volume and / or mute state, without changing the device volume
+//See https://developers.google.com/cast/docs/reference/messages#Volume
+MediaController.prototype.setVolume = function(volume, callback) {
+    var data = {
+        type: 'VOLUME',
+        volume: volume
+    };
+
+    this.sessionRequest(data, callback);
+};
+
+//Change active text / audio tracks and text track style
+//See https://developers.google.com/cast/docs/reference/messages#EditTracksInfo
+MediaController.prototype.editTracksInfo = function(options, callback) {
+    var data = {
+        type:             'EDIT_TRACKS_INFO',
+        activeTrackIds:   options.activeTrackIds,
+        textTrackStyle:   options.textTrackStyle
+    };
+
+    this.sessionRequest(data, callback);
+};
+
+//Set the playback rate of the current media, 1 being normal speed
+MediaController.prototype.setPlaybackRate = function(playbackRate, callback) {
+    var data = {
+        type:             'SET_PLAYBACK_RATE',
+        playbackRate:     playbackRate
+    };
+
+    this.sessionRequest(data, callback);
+};
+
 //Load a queue of items to play (playlist)
 //See https://developers.google.com/cast/docs/reference/chrome/chrome.cast.media.QueueLoadRequest
 MediaController.prototype.queueLoad = function(items, options, callback) {
@@ -145,6 +212,11 @@ MediaController.prototype.queueLoad = function(items, options, callback) {
         ? options.startIndex
         : 0;
 
+    //Optional fields, only sent when given, as for load
+    ['customData', 'credentials', 'credentialsType', 'playbackRate', 'queueData'].forEach(function(field) {
+        if(typeof options[field] !== 'undefined') data[field] = options[field];
+    });
+
     data.items = items;
 
     this.request(data, function(err, response) {
@@ -225,12 +297,42 @@ MediaController.prototype.queueUpdate = function(items, options, callback) {
         currentTime:      options.currentTime,
         jump:             options.jump,          //Skip or go back (if negative) number of items
         repeatMode:       options.repeatMode,
+        shuffle:          options.shuffle,       //Shuffle the queue items when processed
         items:            items
     };
 
     this.sessionRequest(data, callback);
 };
 
+//Get the item ids of the current queue in play order
+MediaController.prototype.queueGetItemIds = function(callback) {
+    var data = {
+        type:             'QUEUE_GET_ITEM_IDS',
+        mediaSessionId:   this.currentSession.mediaSessionId
+    };
+
+    this.request(data, function(err, response) {
+        if(err) return callback(err);
+
+        callback(null, response.itemIds || []);
+    });
+};
+
+//Get the queue items (with media) for the given item ids
+MediaController.prototype.queueGetItems = function(itemIds, callback) {
+    var data = {
+        type:             'QUEUE_GET_ITEMS',
+        mediaSessionId:   this.currentSession.mediaSessionId,
+        itemIds:          itemIds
+    };
+
+    this.request(data, function(err, response) {
+        if(err) return callback(err);
+
+        callback(null, response.items || []);
+    });
+};
+
 MediaController.prototype.queueNext = function(callback) {
     this.sessionRequest({ type: 'QUEUE_NEXT' }, callback);
 };
@@ -45,6 +45,22 @@ MediaReceiverBase.prototype.seek = function(currentTime, callback) {
     this.media.seek.apply(this.media, arguments);
 };
 
+MediaReceiverBase.prototype.getEstimatedTime = function() {
+    return this.media.getEstimatedTime();
+};
+
+MediaReceiverBase.prototype.setVolume = function(volume, callback) {
+    this.media.setVolume.apply(this.media, arguments);
+};
+
+MediaReceiverBase.prototype.editTracksInfo = function(options, callback) {
+    this.media.editTracksInfo.apply(this.media, arguments);
+};
+
+MediaReceiverBase.prototype.setPlaybackRate = function(playbackRate, callback) {
+    this.media.setPlaybackRate.apply(this.media, arguments);
+};
+
 MediaReceiverBase.prototype.queueNext = function(callback) {
     this.media.queueNext.apply(this.media, arguments);
 };
@@ -0,0 +1,397 @@
+"use strict";
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const DefaultMediaReceiverAdapter = require('./DefaultMediaReceiverAdapter');
+
+function MediaServer(options) {
+    this.port = options.port || 8099;
+    this.host = options.host || null;
+    this.root = options.root ? path.resolve(options.root) : null;
+
+    // Address of the interface facing the cast device, set by the connection once connected
+    this.localAddress = null;
+
+    // Short lived hosted content, keyed by random id
+    this.ephemeral = {};
+
+    this.server = null;
+}
+
+/*
+* Starts listening for requests
+*/
+MediaServer.prototype.listenAsync = function() {
+    let self = this;
+
+    return new Promise((resolve, reject) => {
+        self.server = http.createServer((req, res) => self.handleRequest(req, res));
+        self.server.once('error', reject);
+        self.server.listen(self.port, () => {
+            self.server.removeListener('error', reject);
+            resolve();
+        });
+    });
+};
+
+/*
+* Stops listening for requests
+*/
+MediaServer.prototype.close = function() {
+    for (let id in this.ephemeral) {
+        this.release(id);
+    }
+
+    if (this.server) {
+        this.server.close();
+
+        // Open streams would otherwise keep running until the cast device disconnects
+        if (this.server.closeAllConnections) {
+            this.server.closeAllConnections();
+        }
+
+        this.server = null;
+    }
+};
+
+/*
+* Gets the base URL the cast device can reach this server on
+*/
+MediaServer.prototype.getBaseUrl = function() {
+    let host = this.host || this.localAddress || MediaServer.getLanAddress();
+    if (net.isIPv6(host)) {
+        host = "[" + host + "]";
+    }
+
+    return "http://" + host + ":" + this.port;
+};
+
+/*
+* Resolves a file path against the media root, rejecting paths outside of it
+*/
+MediaServer.prototype.resolvePath = function(filePath) {
+    if (!this.root) {
+        throw new Error("Media root not configured");
+    }
+
+    let resolvedPath = path.resolve(this.root, filePath);
+    let relativePath = path.relative(this.root, resolvedPath);
+    if (relativePath === "" || relativePath.split(path.sep)[0] === ".." || path.isAbsolute(relativePath)) {
+        throw new Error("Path outside of media root");
+    }
+
+    return resolvedPath;
+};
+
+/*
+* Lists the files of a directory under the media root, as paths relative to the root
+*/
+MediaServer.prototype.listFilesAsync = function(directory) {
+    let self = this;
+
+    return new Promise((resolve, reject) => {
+        if (!self.root) {
+            throw new Error("Media root not configured");
+        }
+
+        // Unlike files, the media root itself is a valid directory
+        let resolvedPath = path.resolve(self.root, directory || ".");
+        let relativePath = path.relative(self.root, resolvedPath);
+        if (relativePath.split(path.sep)[0] === ".." || path.isAbsolute(relativePath)) {
+            throw new Error("Path outside of media root");
+        }
+
+        fs.readdir(resolvedPath, { withFileTypes: true }, (error, entries) => {
+            if (error) return reject(error);
+
+            resolve(entries
+                .filter(entry => entry.isFile())
+                .map(entry => entry.name)
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .map(name => path.join(relativePath, name)));
+        });
+    });
+};
+
+/*
+* Gets a castable URL for a file under the media root
+*/
+MediaServer.prototype.getFileUrl = function(filePath) {
+    let resolvedPath = this.resolvePath(filePath);
+    let urlPath = path.relative(this.root, resolvedPath)
+        .split(path.sep)
+        .map(segment => encodeURIComponent(segment))
+        .join("/");
+
+    return this.getBaseUrl() + "/media/" + urlPath;
+};
+
+/*
+* Hosts a buffer at a random URL until released or the TTL (seconds) expires
+*/
+MediaServer.prototype.hostBuffer = function(data, contentType, ttl) {
+    let self = this;
+    let id = crypto.randomBytes(16).toString("hex");
+
+    this.ephemeral[id] = {
+        data: data,
+        contentType: contentType || "application/octet-stream",
+        timer: setTimeout(() => self.release(id), (ttl || 3600) * 1000)
+    };
+
+    return {
+        id: id,
+        url: this.getBaseUrl() + "/ephemeral/" + id
+    };
+};
+
+/*
+* Hosts a file outside of the media root at a random URL until released or the TTL (seconds) expires
+*/
+MediaServer.prototype.hostFile = function(filePath, contentType, ttl) {
+    let self = this;
+    let id = crypto.randomBytes(16).toString("hex");
+
+    this.ephemeral[id] = {
+        file: filePath,
+        contentType: contentType || "application/octet-stream",
+        timer: setTimeout(() => self.release(id), (ttl || 3600) * 1000)
+    };
+
+    return {
+        id: id,
+        url: this.getBaseUrl() + "/ephemeral/" + id
+    };
+};
+
+/*
+* Hosts a stream at a random URL until released or the TTL (seconds) expires.
+* The stream is created for each request, and destroyed when the response closes.
+*/
+MediaServer.prototype.hostStream = function(createStream, contentType, ttl) {
+    let self = this;
+    let id = crypto.randomBytes(16).toString("hex");
+
+    this.ephemeral[id] = {
+        createStream: createStream,
+        contentType: contentType || "application/octet-stream",
+        timer: setTimeout(() => self.release(id), (ttl || 3600) * 1000)
+    };
+
+    return {
+        id: id,
+        url: this.getBaseUrl() + "/ephemeral/" + id
+    };
+};
+
+/*
+* Releases hosted content
+*/
+MediaServer.prototype.release = function(id) {
+    let entry = this.ephemeral[id];
+    if (entry) {
+        clearTimeout(entry.timer);
+        delete this.ephemeral[id];
+
+        (entry.releaseCallbacks || []).forEach(callback => callback());
+    }
+};
+
+/*
+* Calls back once hosted content is released, whether explicitly or by its TTL expiring
+*/
+MediaServer.prototype.onRelease = function(id, callback) {
+    let entry = this.ephemeral[id];
+    if (!entry) {
+        return callback();
+    }
+
+    entry.releaseCallbacks = (entry.releaseCallbacks || []).concat([callback]);
+};
+
+/*
+* Request handler
+*/
+MediaServer.prototype.handleRequest = function(req, res) {
+    // The cast receiver fetches text tracks cross origin, which the player rejects without CORS headers
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Range");
+    res.setHeader("Access-Control-Expose-Headers", "Accept-Ranges, Content-Length, Content-Range");
+
+    if (req.method === "OPTIONS") {
+        res.setHeader("Access-Control-Allow-Methods", "GET, HEAD, OPTIONS");
+        res.writeHead(204);
+        return res.end();
+    }
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+        return MediaServer.sendError(res, 405);
+    }
+
+    let urlPath = req.url.split("?")[0];
+    let segments = urlPath.split("/").filter(segment => segment !== "");
+
+    try {
+        switch (segments[0]) {
+            case "media": {
+                let filePath = segments.slice(1).map(segment => decodeURIComponent(segment)).join(path.sep);
+                let resolvedPath = this.resolvePath(filePath);
+                return MediaServer.serveFile(req, res, resolvedPath, DefaultMediaReceiverAdapter.getContentType(resolvedPath));
+            }
+            case "ephemeral": {
+                let entry = this.ephemeral[segments[1]];
+                if (!entry) {
+                    return MediaServer.sendError(res, 404);
+                }
+
+                if (entry.file) {
+                    return MediaServer.serveFile(req, res, entry.file, entry.contentType);
+                }
+
+                if (entry.createStream) {
+                    return MediaServer.serveStream(req, res, entry.createStream, entry.contentType);
+                }
+
+                return MediaServer.serveBuffer(req, res, entry.data, entry.contentType);
+            }
+            default:
+                return MediaServer.sendError(res, 404);
+        }
+    } catch (error) {
+        return MediaServer.sendError(res, 403);
+    }
+};
+
+/*
+* Serves a file with range support
+*/
+MediaServer.serveFile = function(req, res, filePath, contentType) {
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            return MediaServer.sendError(res, 404);
+        }
+
+        let range = MediaServer.parseRange(req.headers.range, stats.size);
+        if (range === false) {
+            res.writeHead(416, { "Content-Range": "bytes */" + stats.size });
+            return res.end();
+        }
+
+        let headers = {
+            "Accept-Ranges": "bytes",
+            "Content-Type": contentType
+        };
+
+        let status = 200;
+        if (range) {
+            status = 206;
+            headers["Content-Range"] = "bytes " + range.start + "-" + range.end + "/" + stats.size;
+            headers["Content-Length"] = range.end - range.start + 1;
+        } else {
+            headers["Content-Length"] = stats.size;
+        }
+
+        res.writeHead(status, headers);
+        if (req.method === "HEAD") {
+            return res.end();
+        }
+
+        let stream = fs.createReadStream(filePath, range || {});
+        stream.on('error', () => res.destroy());
+        stream.pipe(res);
+    });
+};
+
+/*
+* Serves a buffer with range support
+*/
+MediaServer.serveBuffer = function(req, res, data, contentType) {
+    let range = MediaServer.parseRange(req.headers.range, data.length);
+    if (range === false) {
+        res.writeHead(416, { "Content-Range": "bytes */" + data.length });
+        return res.end();
+    }
+
+    let headers = {
+        "Accept-Ranges": "bytes",
+        "Content-Type": contentType
+    };
+
+    let status = 200;
+    let body = data;
+    if (range) {
+        status = 206;
+        body = data.slice(range.start, range.end + 1);
+        headers["Content-Range"] = "bytes " + range.start + "-" + range.end + "/" + data.length;
+    }
+
+    headers["Content-Length"] = body.length;
+
+    res.writeHead(status, headers);
+    res.end(req.method === "HEAD" ? undefined : body);
+};
+
+/*
+* Serves a stream of unknown length, without range support
+*/
+MediaServer.serveStream = function(req, res, createStream, contentType) {
+    res.writeHead(200, { "Content-Type": contentType });
+    if (req.method === "HEAD") {
+        return res.end();
+    }
+
+    let stream = createStream();
+    stream.on('error', () => res.destroy());
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+};
+
+/*
+* Parses a single range header, returning null for no range and false if unsatisfiable
+*/
+MediaServer.parseRange = function(header, size) {
+    if (!header) return null;
+
+    let match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === "" && match[2] === "")) return null;
+
+    let start, end;
+    if (match[1] === "") {
+        // Suffix range, the last n bytes
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start > end || start >= size) return false;
+
+    return { start: start, end: end };
+};
+
+/*
+* Sends an empty error response
+*/
+MediaServer.sendError = function(res, status) {
+    res.writeHead(status);
+    res.end();
+};
+
+/*
+* Gets the first external IPv4 address of this host
+*/
+MediaServer.getLanAddress = function() {
+    let interfaces = os.networkInterfaces();
+    for (let name in interfaces) {
+        let address = interfaces[name].find(x => (x.family === "IPv4" || x.family === 4) && !x.internal);
+        if (address) return address.address;
+    }
+
+    return "127.0.0.1";
+};
+
+module.exports = MediaServer;
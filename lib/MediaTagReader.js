@@ -0,0 +1,384 @@
+"use strict";
+const fs = require('fs');
+const util = require('util');
+
+const openAsync = util.promisify(fs.open);
+const readAsync = util.promisify(fs.read);
+const fstatAsync = util.promisify(fs.fstat);
+const closeAsync = util.promisify(fs.close);
+
+function MediaTagReader() {}
+
+// Upper bound for tag and metadata box sizes read into memory
+MediaTagReader.maxTagSize = 32 * 1024 * 1024;
+
+/*
+* Reads embedded ID3v2 or MP4 tags from a local file.
+* Resolves to plain media fields, with any cover art as { data, contentType }, or null if the file has no supported tags.
+*/
+MediaTagReader.readAsync = function(filePath) {
+    return openAsync(filePath, "r")
+        .then(fd => {
+            return fstatAsync(fd)
+                .then(stats => MediaTagReader.readBytesAsync(fd, 0, 12)
+                    .then(header => {
+                        if (header.toString("latin1", 0, 3) === "ID3") {
+                            return MediaTagReader.readId3Async(fd, header);
+                        }
+
+                        if (header.toString("latin1", 4, 8) === "ftyp") {
+                            return MediaTagReader.readMp4Async(fd, stats.size);
+                        }
+
+                        return null;
+                    }))
+                .then(
+                    tags => closeAsync(fd).then(() => tags),
+                    error => closeAsync(fd).then(() => { throw error; }));
+        });
+};
+
+/*
+* Reads a range of a file into a buffer
+*/
+MediaTagReader.readBytesAsync = function(fd, position, length) {
+    let buffer = Buffer.alloc(length);
+
+    return readAsync(fd, buffer, 0, length, position)
+        .then(result => buffer.slice(0, result.bytesRead));
+};
+
+/*
+* Reads an ID3v2 tag from the start of a file
+*/
+MediaTagReader.readId3Async = function(fd, header) {
+    let version = header[3];
+    let flags = header[5];
+    let size = MediaTagReader.readSyncSafe(header, 6);
+    if (version < 2 || version > 4 || size > MediaTagReader.maxTagSize) {
+        return Promise.resolve(null);
+    }
+
+    return MediaTagReader.readBytesAsync(fd, 10, size)
+        .then(data => MediaTagReader.parseId3(data, version, flags));
+};
+
+/*
+* Parses ID3v2.2, v2.3 and v2.4 tag frames
+*/
+MediaTagReader.parseId3 = function(data, version, flags) {
+    const frameFields = {
+        TIT2: "title", TT2: "title",
+        TPE1: "artist", TP1: "artist",
+        TALB: "album", TAL: "album",
+        TPE2: "albumArtist", TP2: "albumArtist",
+        TCOM: "composer", TCM: "composer",
+        TRCK: "trackNumber", TRK: "trackNumber",
+        TPOS: "discNumber", TPA: "discNumber",
+        TDRC: "releaseDate", TYER: "releaseDate", TYE: "releaseDate"
+    };
+
+    // Tag wide unsynchronisation, only used before v2.4
+    if ((flags & 0x80) && version < 4) {
+        data = MediaTagReader.removeUnsync(data);
+    }
+
+    let offset = 0;
+    if ((flags & 0x40) && version > 2) {
+        // Skip the extended header
+        offset = version === 4 ? MediaTagReader.readSyncSafe(data, 0) : data.readUInt32BE(0) + 4;
+    }
+
+    let idLength = version === 2 ? 3 : 4;
+    let headerLength = version === 2 ? 6 : 10;
+    let tags = {};
+    let covers = [];
+
+    while (offset + headerLength <= data.length) {
+        let id = data.toString("latin1", offset, offset + idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break;
+
+        let frameSize;
+        if (version === 2) {
+            frameSize = data.readUIntBE(offset + 3, 3);
+        } else if (version === 4) {
+            frameSize = MediaTagReader.readSyncSafe(data, offset + 4);
+        } else {
+            frameSize = data.readUInt32BE(offset + 4);
+        }
+
+        let frameFlags = version === 2 ? 0 : data.readUInt16BE(offset + 8);
+        let frame = data.slice(offset + headerLength, offset + headerLength + frameSize);
+        offset += headerLength + frameSize;
+
+        if (version === 4) {
+            // Data length indicator, then frame level unsynchronisation
+            if (frameFlags & 0x0001) frame = frame.slice(4);
+            if (frameFlags & 0x0002) frame = MediaTagReader.removeUnsync(frame);
+        }
+
+        // Skip compressed and encrypted frames
+        if (version === 3 && (frameFlags & 0x00C0)) continue;
+        if (version === 4 && (frameFlags & 0x000C)) continue;
+
+        if (frameFields[id] && frame.length > 1) {
+            let value = MediaTagReader.decodeId3Text(frame.slice(1), frame[0]).split("\0")[0].trim();
+            if (value.length > 0 && typeof tags[frameFields[id]] === "undefined") {
+                tags[frameFields[id]] = value;
+            }
+        } else if ((id === "APIC" || id === "PIC") && frame.length > 4) {
+            let cover = MediaTagReader.parseId3Picture(frame, id === "PIC");
+            if (cover) covers.push(cover);
+        }
+    }
+
+    ["trackNumber", "discNumber"].forEach(field => {
+        // Stored as "n" or "n/total"
+        if (typeof tags[field] !== "undefined") {
+            let number = parseInt(tags[field], 10);
+            if (isNaN(number)) {
+                delete tags[field];
+            } else {
+                tags[field] = number;
+            }
+        }
+    });
+
+    // Prefer the front cover
+    let cover = covers.find(cover => cover.pictureType === 3) || covers[0];
+    if (cover) {
+        tags.cover = { data: cover.data, contentType: cover.contentType };
+    }
+
+    return Object.keys(tags).length > 0 ? tags : null;
+};
+
+/*
+* Parses an APIC (or v2.2 PIC) picture frame
+*/
+MediaTagReader.parseId3Picture = function(frame, isV22) {
+    let encoding = frame[0];
+    let offset = 1;
+    let contentType;
+
+    if (isV22) {
+        let format = frame.toString("latin1", 1, 4).toUpperCase();
+        contentType = format === "PNG" ? "image/png" : "image/jpeg";
+        offset = 4;
+    } else {
+        let end = frame.indexOf(0, offset);
+        if (end < 0) return null;
+
+        contentType = frame.toString("latin1", offset, end).toLowerCase();
+        offset = end + 1;
+    }
+
+    let pictureType = frame[offset];
+    offset += 1;
+
+    // Skip the description, terminated by a single or double null depending on encoding
+    if (encoding === 1 || encoding === 2) {
+        while (offset + 1 < frame.length && (frame[offset] !== 0 || frame[offset + 1] !== 0)) offset += 2;
+        offset += 2;
+    } else {
+        let end = frame.indexOf(0, offset);
+        if (end < 0) return null;
+        offset = end + 1;
+    }
+
+    let data = frame.slice(offset);
+    if (data.length === 0) return null;
+
+    return {
+        pictureType: pictureType,
+        contentType: MediaTagReader.getImageContentType(data, contentType),
+        data: data
+    };
+};
+
+/*
+* Decodes ID3 text in the given encoding
+*/
+MediaTagReader.decodeId3Text = function(data, encoding) {
+    switch (encoding) {
+        case 1: {
+            // UTF-16 with byte order mark
+            if (data.length >= 2 && data[0] === 0xFE && data[1] === 0xFF) {
+                return MediaTagReader.swapBytes(data.slice(2)).toString("utf16le");
+            }
+
+            let start = data.length >= 2 && data[0] === 0xFF && data[1] === 0xFE ? 2 : 0;
+            return data.slice(start, start + ((data.length - start) & ~1)).toString("utf16le");
+        }
+        case 2:
+            return MediaTagReader.swapBytes(data).toString("utf16le");
+        case 3:
+            return data.toString("utf8");
+        default:
+            return data.toString("latin1");
+    }
+};
+
+/*
+* Reads MP4 iTunes style metadata from moov/udta/meta/ilst
+*/
+MediaTagReader.readMp4Async = function(fd, fileSize) {
+    let findMoovAsync = function(position) {
+        if (position + 8 > fileSize) return Promise.resolve(null);
+
+        return MediaTagReader.readBytesAsync(fd, position, 16)
+            .then(header => {
+                if (header.length < 8) return null;
+
+                let size = header.readUInt32BE(0);
+                let type = header.toString("latin1", 4, 8);
+                let headerLength = 8;
+                if (size === 1 && header.length >= 16) {
+                    size = Number(header.readBigUInt64BE(8));
+                    headerLength = 16;
+                } else if (size === 0) {
+                    size = fileSize - position;
+                }
+
+                if (size < headerLength) return null;
+
+                if (type === "moov") {
+                    if (size > MediaTagReader.maxTagSize) return null;
+
+                    return MediaTagReader.readBytesAsync(fd, position + headerLength, size - headerLength);
+                }
+
+                return findMoovAsync(position + size);
+            });
+    };
+
+    return findMoovAsync(0)
+        .then(moov => {
+            if (!moov) return null;
+
+            let udta = MediaTagReader.findBox(moov, "udta");
+            let meta = udta && MediaTagReader.findBox(udta, "meta");
+            // meta is a full box, with version and flags before its children
+            let ilst = meta && MediaTagReader.findBox(meta.slice(4), "ilst");
+
+            return ilst ? MediaTagReader.parseIlst(ilst) : null;
+        });
+};
+
+/*
+* Parses the items of an ilst box
+*/
+MediaTagReader.parseIlst = function(ilst) {
+    const textFields = {
+        "©nam": "title",
+        "©ART": "artist",
+        "©alb": "album",
+        "aART": "albumArtist",
+        "©wrt": "composer",
+        "©day": "releaseDate",
+        "tvsh": "seriesTitle"
+    };
+    const mediaKinds = { 1: "music", 9: "movie", 10: "tv" };
+
+    let tags = {};
+    MediaTagReader.getBoxes(ilst).forEach(item => {
+        let data = MediaTagReader.findBox(item.data, "data");
+        if (!data || data.length < 8) return;
+
+        let dataType = data.readUInt32BE(0) & 0xFFFFFF;
+        let value = data.slice(8);
+
+        if (textFields[item.type]) {
+            tags[textFields[item.type]] = value.toString("utf8").trim();
+        } else if ((item.type === "trkn" || item.type === "disk") && value.length >= 4) {
+            let number = value.readUInt16BE(2);
+            if (number > 0) tags[item.type === "trkn" ? "trackNumber" : "discNumber"] = number;
+        } else if ((item.type === "tvsn" || item.type === "tves") && value.length >= 1) {
+            tags[item.type === "tvsn" ? "season" : "episode"] = value.readUIntBE(0, Math.min(value.length, 4));
+        } else if (item.type === "stik" && value.length >= 1 && mediaKinds[value[0]]) {
+            tags.metadataType = mediaKinds[value[0]];
+        } else if (item.type === "covr" && value.length > 0 && !tags.cover) {
+            let contentType = dataType === 14 ? "image/png" : dataType === 13 ? "image/jpeg" : null;
+            tags.cover = { data: value, contentType: MediaTagReader.getImageContentType(value, contentType) };
+        }
+    });
+
+    return Object.keys(tags).length > 0 ? tags : null;
+};
+
+/*
+* Lists the child boxes of an MP4 box
+*/
+MediaTagReader.getBoxes = function(data) {
+    let boxes = [];
+    let offset = 0;
+
+    while (offset + 8 <= data.length) {
+        let size = data.readUInt32BE(offset);
+        let type = data.toString("latin1", offset + 4, offset + 8);
+        if (size === 0) size = data.length - offset;
+        if (size < 8 || offset + size > data.length) break;
+
+        boxes.push({ type: type, data: data.slice(offset + 8, offset + size) });
+        offset += size;
+    }
+
+    return boxes;
+};
+
+/*
+* Finds the content of the first child box of a type
+*/
+MediaTagReader.findBox = function(data, type) {
+    let box = MediaTagReader.getBoxes(data).find(box => box.type === type);
+
+    return box ? box.data : null;
+};
+
+/*
+* Gets an image content type, sniffing the data when the declared type is missing or unusual
+*/
+MediaTagReader.getImageContentType = function(data, contentType) {
+    if (data[0] === 0x89 && data.toString("latin1", 1, 4) === "PNG") return "image/png";
+    if (data[0] === 0xFF && data[1] === 0xD8) return "image/jpeg";
+    if (contentType === "image/jpg") return "image/jpeg";
+
+    return contentType && contentType.startsWith("image/") ? contentType : "image/jpeg";
+};
+
+/*
+* Reads a 28 bit sync safe integer
+*/
+MediaTagReader.readSyncSafe = function(data, offset) {
+    return ((data[offset] & 0x7F) << 21) | ((data[offset + 1] & 0x7F) << 14) | ((data[offset + 2] & 0x7F) << 7) | (data[offset + 3] & 0x7F);
+};
+
+/*
+* Reverses unsynchronisation, where 0xFF 0x00 was written for 0xFF
+*/
+MediaTagReader.removeUnsync = function(data) {
+    let result = Buffer.alloc(data.length);
+    let length = 0;
+
+    for (let i = 0; i < data.length; i++) {
+        result[length++] = data[i];
+        if (data[i] === 0xFF && data[i + 1] === 0x00) i++;
+    }
+
+    return result.slice(0, length);
+};
+
+/*
+* Swaps the byte order of UTF-16 data
+*/
+MediaTagReader.swapBytes = function(data) {
+    let swapped = Buffer.alloc(data.length & ~1);
+    for (let i = 0; i + 1 < data.length; i += 2) {
+        swapped[i] = data[i + 1];
+        swapped[i + 1] = data[i];
+    }
+
+    return swapped;
+};
+
+module.exports = MediaTagReader;
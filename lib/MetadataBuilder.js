@@ -0,0 +1,159 @@
+"use strict";
+
+function MetadataBuilder() {}
+
+/*
+* Cast metadata types
+* See https://developers.google.com/cast/docs/reference/messages#MediaInformation
+*/
+MetadataBuilder.GENERIC = 0;
+MetadataBuilder.MOVIE = 1;
+MetadataBuilder.TV_SHOW = 2;
+MetadataBuilder.MUSIC_TRACK = 3;
+MetadataBuilder.PHOTO = 4;
+
+MetadataBuilder.typeNames = {
+    generic: MetadataBuilder.GENERIC,
+    movie: MetadataBuilder.MOVIE,
+    tv: MetadataBuilder.TV_SHOW,
+    music: MetadataBuilder.MUSIC_TRACK,
+    photo: MetadataBuilder.PHOTO
+};
+
+MetadataBuilder.defaultImage = "https://nodered.org/node-red-icon.png";
+
+/*
+* Builds typed metadata from the plain fields of a media argument, with any raw metadata object taking precedence
+*/
+MetadataBuilder.build = function(media, defaultTitle) {
+    let metadataType = MetadataBuilder.getType(media);
+    let metadata = {
+        metadataType: metadataType,
+        title: media.title || defaultTitle
+    };
+
+    let fields;
+    switch (metadataType) {
+        case MetadataBuilder.MOVIE:
+            fields = {
+                subtitle: media.subtitle,
+                studio: media.studio,
+                releaseDate: MetadataBuilder.formatDate(media.releaseDate)
+            };
+            break;
+        case MetadataBuilder.TV_SHOW:
+            fields = {
+                seriesTitle: media.seriesTitle,
+                season: media.season,
+                episode: media.episode,
+                originalAirdate: MetadataBuilder.formatDate(media.releaseDate)
+            };
+            break;
+        case MetadataBuilder.MUSIC_TRACK:
+            fields = {
+                artist: media.artist,
+                albumName: media.album,
+                albumArtist: media.albumArtist,
+                composer: media.composer,
+                trackNumber: media.trackNumber,
+                discNumber: media.discNumber,
+                releaseDate: MetadataBuilder.formatDate(media.releaseDate)
+            };
+            break;
+        case MetadataBuilder.PHOTO:
+            fields = {
+                artist: media.artist,
+                location: media.location,
+                latitude: media.latitude,
+                longitude: media.longitude,
+                width: media.width,
+                height: media.height,
+                creationDateTime: MetadataBuilder.formatDate(media.creationDateTime || media.releaseDate)
+            };
+            break;
+        default:
+            fields = {
+                subtitle: media.subtitle || null,
+                releaseDate: MetadataBuilder.formatDate(media.releaseDate)
+            };
+            break;
+    }
+
+    Object.keys(fields)
+        .filter(field => typeof fields[field] !== "undefined")
+        .forEach(field => metadata[field] = fields[field]);
+
+    // Photos are displayed themselves, everything else gets at least the default image
+    let images = MetadataBuilder.buildImages(media);
+    if (images.length > 0) {
+        metadata.images = images;
+    } else if (metadataType !== MetadataBuilder.PHOTO) {
+        metadata.images = [{ url: MetadataBuilder.defaultImage }];
+    }
+
+    return Object.assign(metadata, media.metadata);
+};
+
+/*
+* Gets the metadata type, from an explicit type or inferred from the fields given
+*/
+MetadataBuilder.getType = function(media) {
+    if (media.metadata && typeof media.metadata.metadataType === "number") {
+        return media.metadata.metadataType;
+    }
+
+    if (typeof media.metadataType === "number") {
+        return media.metadataType;
+    }
+
+    if (typeof media.metadataType === "string") {
+        let metadataType = MetadataBuilder.typeNames[media.metadataType.toLowerCase()];
+        if (typeof metadataType === "undefined") {
+            throw new Error("Invalid metadataType, expected one of " + Object.keys(MetadataBuilder.typeNames).join(", "));
+        }
+
+        return metadataType;
+    }
+
+    if (typeof media.seriesTitle !== "undefined" || typeof media.season !== "undefined" || typeof media.episode !== "undefined") {
+        return MetadataBuilder.TV_SHOW;
+    }
+
+    if (typeof media.album !== "undefined" || typeof media.artist !== "undefined" || typeof media.albumArt !== "undefined") {
+        return MetadataBuilder.MUSIC_TRACK;
+    }
+
+    if (typeof media.contentType === "string" && media.contentType.startsWith("image/")) {
+        return MetadataBuilder.PHOTO;
+    }
+
+    return MetadataBuilder.GENERIC;
+};
+
+/*
+* Builds the images array from image URLs or image objects
+*/
+MetadataBuilder.buildImages = function(media) {
+    let images = media.images || [media.albumArt || media.image];
+
+    return images
+        .filter(image => image)
+        .map(image => typeof image === "string" ? { url: image } : image);
+};
+
+/*
+* Formats a date, year or ISO 8601 string as an ISO 8601 string
+*/
+MetadataBuilder.formatDate = function(date) {
+    if (date instanceof Date) {
+        return date.toISOString();
+    }
+
+    if (typeof date === "number") {
+        return String(date);
+    }
+
+    return date;
+};
+
+module.exports = MetadataBuilder;
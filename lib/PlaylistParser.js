@@ -0,0 +1,223 @@
+"use strict";
+
+function PlaylistParser() {}
+
+PlaylistParser.M3U = "m3u";
+PlaylistParser.PLS = "pls";
+PlaylistParser.XSPF = "xspf";
+
+/*
+* Gets the playlist format from a content type, then file extension, or null if not a playlist
+*/
+PlaylistParser.getFormat = function(location, contentType) {
+    const contentTypeMap = {
+        "audio/mpegurl": PlaylistParser.M3U,
+        "audio/x-mpegurl": PlaylistParser.M3U,
+        "application/mpegurl": PlaylistParser.M3U,
+        "application/x-mpegurl": PlaylistParser.M3U,
+        "application/vnd.apple.mpegurl": PlaylistParser.M3U,
+        "audio/x-scpls": PlaylistParser.PLS,
+        "application/pls+xml": PlaylistParser.PLS,
+        "application/xspf+xml": PlaylistParser.XSPF
+    };
+    const extensionMap = {
+        m3u: PlaylistParser.M3U,
+        m3u8: PlaylistParser.M3U,
+        pls: PlaylistParser.PLS,
+        xspf: PlaylistParser.XSPF
+    };
+
+    if (contentType && contentTypeMap[contentType.split(";")[0].trim().toLowerCase()]) {
+        return contentTypeMap[contentType.split(";")[0].trim().toLowerCase()];
+    }
+
+    let fileName = (location || "").split("?")[0].split("#")[0];
+    let ext = fileName.includes(".") ? fileName.split(".").slice(-1)[0].toLowerCase() : "";
+
+    return extensionMap[ext] || null;
+};
+
+/*
+* Checks if M3U text is an HLS manifest, which the cast device plays itself
+*/
+PlaylistParser.isHlsManifest = function(text) {
+    return /^#EXT-X-/m.test(text);
+};
+
+/*
+* Checks if an HLS media playlist is a live stream, which is never ended
+*/
+PlaylistParser.isHlsLive = function(text) {
+    return /^#EXT-X-TARGETDURATION:/m.test(text) && !/^#EXT-X-ENDLIST/m.test(text) && !/^#EXT-X-PLAYLIST-TYPE:VOD/m.test(text);
+};
+
+/*
+* Infers the HLS segment format hints from a media playlist, which the cast device needs for some streams
+*/
+PlaylistParser.getHlsSegmentFormats = function(text) {
+    // Fragmented MP4 segments declare an initialization section
+    if (/^#EXT-X-MAP:/m.test(text)) {
+        return { hlsSegmentFormat: "fmp4", hlsVideoSegmentFormat: "fmp4" };
+    }
+
+    let segment = text.split(/\r\n?|\n/).map(line => line.trim()).find(line => line.length > 0 && !line.startsWith("#"));
+    let ext = segment ? segment.split("?")[0].split(".").slice(-1)[0].toLowerCase() : "";
+
+    switch (ext) {
+        case "ts":
+            return { hlsSegmentFormat: "ts", hlsVideoSegmentFormat: "mpeg2_ts" };
+        case "aac":
+        case "ac3":
+        case "mp3":
+            return { hlsSegmentFormat: ext };
+        case "mp4":
+        case "m4s":
+            return { hlsSegmentFormat: "fmp4", hlsVideoSegmentFormat: "fmp4" };
+        default:
+            // Master playlists only list variant playlists
+            return {};
+    }
+};
+
+/*
+* Parses playlist text into a list of { location, title, duration } entries
+*/
+PlaylistParser.parse = function(text, format) {
+    text = text.replace(/^\uFEFF/, "");
+
+    switch (format) {
+        case PlaylistParser.M3U:
+            return PlaylistParser.parseM3u(text);
+            break;
+        case PlaylistParser.PLS:
+            return PlaylistParser.parsePls(text);
+            break;
+        case PlaylistParser.XSPF:
+            return PlaylistParser.parseXspf(text);
+            break;
+        default:
+            throw new Error("Unknown playlist format");
+            break;
+    }
+};
+
+/*
+* Parses an M3U playlist, including EXTINF titles and durations
+*/
+PlaylistParser.parseM3u = function(text) {
+    let entries = [];
+    let info = null;
+
+    text.split(/\r\n?|\n/).map(line => line.trim()).forEach(line => {
+        if (line.length === 0) return;
+
+        if (line.startsWith("#EXTINF:")) {
+            // #EXTINF:<duration> [attributes],<title>
+            let match = /^#EXTINF:\s*(-?[\d.]+)[^,]*,?(.*)$/.exec(line);
+            if (match) {
+                info = {
+                    duration: PlaylistParser.parseDuration(match[1]),
+                    title: match[2].trim() || undefined
+                };
+            }
+
+            return;
+        }
+
+        if (line.startsWith("#")) return;
+
+        entries.push(Object.assign({ location: line }, info));
+        info = null;
+    });
+
+    return entries;
+};
+
+/*
+* Parses a PLS playlist
+*/
+PlaylistParser.parsePls = function(text) {
+    let entries = {};
+
+    text.split(/\r\n?|\n/).forEach(line => {
+        let match = /^\s*(File|Title|Length)(\d+)\s*=\s*(.*?)\s*$/i.exec(line);
+        if (!match) return;
+
+        let index = parseInt(match[2], 10);
+        let entry = entries[index] = entries[index] || {};
+        switch (match[1].toLowerCase()) {
+            case "file":
+                entry.location = match[3];
+                break;
+            case "title":
+                entry.title = match[3] || undefined;
+                break;
+            case "length":
+                entry.duration = PlaylistParser.parseDuration(match[3]);
+                break;
+        }
+    });
+
+    return Object.keys(entries)
+        .map(index => parseInt(index, 10))
+        .sort((a, b) => a - b)
+        .map(index => entries[index])
+        .filter(entry => entry.location);
+};
+
+/*
+* Parses an XSPF playlist
+*/
+PlaylistParser.parseXspf = function(text) {
+    let getElement = function(xml, name) {
+        let match = new RegExp("<" + name + "(?:\\s[^>]*)?>([\\s\\S]*?)</" + name + ">", "i").exec(xml);
+
+        return match ? PlaylistParser.decodeXml(match[1].trim()) : undefined;
+    };
+
+    let tracks = text.match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/gi) || [];
+
+    return tracks
+        .map(track => {
+            // XSPF durations are in milliseconds
+            let duration = PlaylistParser.parseDuration(getElement(track, "duration"));
+
+            return {
+                location: getElement(track, "location"),
+                title: getElement(track, "title"),
+                artist: getElement(track, "creator"),
+                album: getElement(track, "album"),
+                image: getElement(track, "image"),
+                duration: typeof duration !== "undefined" ? duration / 1000 : undefined
+            };
+        })
+        .filter(entry => entry.location);
+};
+
+/*
+* Parses a duration in seconds, where negative values mean unknown
+*/
+PlaylistParser.parseDuration = function(value) {
+    let duration = parseFloat(value);
+
+    return isNaN(duration) || duration < 0 ? undefined : duration;
+};
+
+/*
+* Decodes XML entities and CDATA sections
+*/
+PlaylistParser.decodeXml = function(text) {
+    const entityMap = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+    return text
+        .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+            if (name[0] === "#") {
+                return String.fromCodePoint(name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+            }
+
+            return entityMap[name.toLowerCase()] || entity;
+        });
+};
+
+module.exports = PlaylistParser;
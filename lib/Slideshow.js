@@ -0,0 +1,113 @@
+"use strict";
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+
+/*
+* Cycles through slides at an interval, showing each through the given show function
+*/
+function Slideshow(slides, options, showAsync) {
+    EventEmitter.call(this);
+
+    this.slides = slides;
+    this.interval = options.interval || 10;
+    this.shuffle = !!options.shuffle;
+    this.loop = !!options.loop;
+    this.showAsync = showAsync;
+
+    this.order = [];
+    this.position = -1;
+    this.timer = null;
+    this.stopped = false;
+}
+
+util.inherits(Slideshow, EventEmitter);
+
+/*
+* Shows the first slide, and schedules the rest
+*/
+Slideshow.prototype.startAsync = function() {
+    this.order = this.buildOrder();
+
+    return this.showNextAsync();
+};
+
+/*
+* Stops cycling, leaving the current slide on screen
+*/
+Slideshow.prototype.stop = function() {
+    if (this.stopped) return;
+
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.emit("stop");
+};
+
+/*
+* Gets the current slide
+*/
+Slideshow.prototype.getSlide = function() {
+    if (this.position < 0) return null;
+
+    let media = this.slides[this.order[this.position]];
+
+    return {
+        index: this.position,
+        count: this.order.length,
+        url: media.url,
+        title: media.title
+    };
+};
+
+/*
+* Advances to the next slide, reshuffling or stopping at the end
+*/
+Slideshow.prototype.showNextAsync = function() {
+    let self = this;
+    if (this.stopped) return Promise.resolve(null);
+
+    this.position++;
+    if (this.position >= this.order.length) {
+        if (!this.loop) {
+            this.stop();
+            return Promise.resolve(null);
+        }
+
+        this.order = this.buildOrder();
+        this.position = 0;
+    }
+
+    let slide = this.getSlide();
+
+    return this.showAsync(this.slides[this.order[this.position]])
+        .then(status => {
+            if (self.stopped) return status;
+
+            self.emit("slide", slide);
+            self.timer = setTimeout(() => {
+                self.showNextAsync().catch(error => {
+                    self.stop();
+                    self.emit("error", error);
+                });
+            }, self.interval * 1000);
+
+            return status;
+        });
+};
+
+/*
+* Builds the play order of slide indexes
+*/
+Slideshow.prototype.buildOrder = function() {
+    let order = this.slides.map((slide, index) => index);
+    if (this.shuffle) {
+        for (let i = order.length - 1; i > 0; i--) {
+            let j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+    }
+
+    return order;
+};
+
+module.exports = Slideshow;
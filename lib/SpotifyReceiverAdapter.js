@@ -16,6 +16,9 @@ SpotifyReceiverAdapter.initReceiver = function(node, receiver) {
     receiver.playAsync = util.promisify(receiver.play);
     receiver.seekAsync = util.promisify(receiver.seek);
     receiver.stopAsync = util.promisify(receiver.stop);
+    receiver.setVolumeAsync = util.promisify(receiver.setVolume);
+    receiver.editTracksInfoAsync = util.promisify(receiver.editTracksInfo);
+    receiver.setPlaybackRateAsync = util.promisify(receiver.setPlaybackRate);
     receiver.queueNextAsync = util.promisify(receiver.queueNext);
     receiver.queuePrevAsync = util.promisify(receiver.queuePrev);
 
@@ -37,7 +40,7 @@ SpotifyReceiverAdapter.initReceiver = function(node, receiver) {
 /*
 * App command handler
 */
-SpotifyReceiverAdapter.sendAppCommandAsync = function(receiver, command) {
+SpotifyReceiverAdapter.sendAppCommandAsync = function(node, receiver, command) {
     // Check for load commands
     if (command.type === "MEDIA" && command.media) {
         return receiver.loadAsync(command.media);
@@ -0,0 +1,248 @@
+"use strict";
+
+/*
+* Derives playback events from successive platform and media statuses, and detects unchanged duplicates
+*/
+function StatusEventTracker() {
+    this.platform = null;
+    this.platformKey = null;
+    this.media = null;
+    this.mediaKey = null;
+    this.mediaInformation = null;
+    this.mediaInitialized = false;
+    this.started = false;
+}
+
+/*
+* Event types
+*/
+StatusEventTracker.STARTED = "started";
+StatusEventTracker.PAUSED = "paused";
+StatusEventTracker.RESUMED = "resumed";
+StatusEventTracker.BUFFERING = "buffering";
+StatusEventTracker.FINISHED = "finished";
+StatusEventTracker.INTERRUPTED = "interrupted";
+StatusEventTracker.ERROR = "error";
+StatusEventTracker.ITEM_CHANGED = "item_changed";
+StatusEventTracker.VOLUME_CHANGED = "volume_changed";
+StatusEventTracker.APP_LAUNCHED = "app_launched";
+StatusEventTracker.APP_CLOSED = "app_closed";
+
+// Events for media going idle, by idle reason
+StatusEventTracker.idleEvents = {
+    FINISHED: StatusEventTracker.FINISHED,
+    INTERRUPTED: StatusEventTracker.INTERRUPTED,
+    CANCELLED: StatusEventTracker.INTERRUPTED,
+    ERROR: StatusEventTracker.ERROR
+};
+
+/*
+* Records a platform or media status.
+* Returns whether it duplicates the previous status of the same source, and the events it causes.
+*/
+StatusEventTracker.prototype.update = function(source, status) {
+    status = status || null;
+
+    let key = StatusEventTracker.getKey(status);
+    let duplicate = source === "platform" ? key === this.platformKey : key === this.mediaKey;
+    let events = source === "platform" ? this.updatePlatform(status) : this.updateMedia(status);
+
+    if (source === "platform") {
+        this.platformKey = key;
+    } else {
+        this.mediaKey = key;
+    }
+
+    return { duplicate: duplicate, events: events };
+};
+
+/*
+* Forgets the media status, when the receiver it came from closes
+*/
+StatusEventTracker.prototype.resetMedia = function() {
+    this.media = null;
+    this.mediaKey = null;
+    this.mediaInformation = null;
+    this.mediaInitialized = false;
+    this.started = false;
+};
+
+/*
+* Diffs a platform status against the previous one
+*/
+StatusEventTracker.prototype.updatePlatform = function(status) {
+    let events = [];
+    let previous = this.platform;
+    this.platform = status;
+
+    // The first status only establishes the baseline
+    if (!previous || !status) return events;
+
+    let previousApps = StatusEventTracker.getApplications(previous);
+    let apps = StatusEventTracker.getApplications(status);
+
+    previousApps
+        .filter(app => !apps.some(x => x.sessionId === app.sessionId))
+        .forEach(app => events.push(this.createAppEvent(StatusEventTracker.APP_CLOSED, app)));
+    apps
+        .filter(app => !previousApps.some(x => x.sessionId === app.sessionId))
+        .forEach(app => events.push(this.createAppEvent(StatusEventTracker.APP_LAUNCHED, app)));
+
+    if (StatusEventTracker.volumeChanged(previous.volume, status.volume)) {
+        events.push({
+            type: StatusEventTracker.VOLUME_CHANGED,
+            source: "platform",
+            idleReason: null,
+            volume: status.volume
+        });
+    }
+
+    return events;
+};
+
+/*
+* Diffs a media status against the previous one
+*/
+StatusEventTracker.prototype.updateMedia = function(status) {
+    let events = [];
+    let previous = this.media;
+    this.media = status;
+
+    // The first status only establishes the baseline, as media may already be playing when joining
+    if (!this.mediaInitialized) {
+        this.mediaInitialized = true;
+        this.mediaInformation = status ? status.media || null : null;
+        this.started = status !== null && (status.playerState === "PLAYING" || status.playerState === "PAUSED");
+        return events;
+    }
+
+    if (!status) {
+        this.started = false;
+        return events;
+    }
+
+    previous = previous || { playerState: "IDLE" };
+
+    let itemChanged = (
+        status.mediaSessionId !== previous.mediaSessionId ||
+        (typeof status.currentItemId !== "undefined" && status.currentItemId !== previous.currentItemId) ||
+        (status.media && this.mediaInformation && status.media.contentId !== this.mediaInformation.contentId));
+
+    // Broadcasts only include the media information when it changes
+    if (status.media) {
+        this.mediaInformation = status.media;
+    }
+
+    if (itemChanged) {
+        this.started = false;
+        events.push(this.createMediaEvent(StatusEventTracker.ITEM_CHANGED, status));
+    }
+
+    let previousState = itemChanged ? null : previous.playerState;
+    let idleEvent = StatusEventTracker.idleEvents[status.idleReason];
+    switch (status.playerState) {
+        case "PLAYING":
+            if (!this.started) {
+                this.started = true;
+                events.push(this.createMediaEvent(StatusEventTracker.STARTED, status));
+            } else if (previousState === "PAUSED" || previousState === "BUFFERING") {
+                events.push(this.createMediaEvent(StatusEventTracker.RESUMED, status));
+            }
+            break;
+        case "PAUSED":
+            if (previousState !== "PAUSED") {
+                events.push(this.createMediaEvent(StatusEventTracker.PAUSED, status));
+            }
+            break;
+        case "BUFFERING":
+            if (previousState !== "BUFFERING") {
+                events.push(this.createMediaEvent(StatusEventTracker.BUFFERING, status));
+            }
+            break;
+        case "IDLE":
+            // Idle without a reason is media still loading
+            if (idleEvent && previous.playerState !== "IDLE") {
+                events.push(this.createMediaEvent(idleEvent, status));
+            }
+            this.started = false;
+            break;
+    }
+
+    if (StatusEventTracker.volumeChanged(previous.volume, status.volume)) {
+        events.push(Object.assign(this.createMediaEvent(StatusEventTracker.VOLUME_CHANGED, status), { volume: status.volume }));
+    }
+
+    return events;
+};
+
+/*
+* Creates an application event
+*/
+StatusEventTracker.prototype.createAppEvent = function(type, app) {
+    return {
+        type: type,
+        source: "platform",
+        idleReason: null,
+        appId: app.appId,
+        displayName: app.displayName,
+        sessionId: app.sessionId
+    };
+};
+
+/*
+* Creates a media event, with the item it concerns
+*/
+StatusEventTracker.prototype.createMediaEvent = function(type, status) {
+    let media = this.mediaInformation;
+
+    return {
+        type: type,
+        source: "media",
+        idleReason: status.idleReason || null,
+        playerState: status.playerState,
+        itemId: typeof status.currentItemId !== "undefined" ? status.currentItemId : null,
+        contentId: media ? media.contentId : null,
+        title: media && media.metadata ? media.metadata.title || null : null
+    };
+};
+
+/*
+* Checks if a media status ends playback, rather than moving on to the next queue item.
+* Idle without a reason is media still loading, and an item finishing or failing with items left advances the queue.
+*/
+StatusEventTracker.isPlaybackEnded = function(status) {
+    if (!status || status.playerState !== "IDLE" || !status.idleReason) return false;
+
+    return status.idleReason === "INTERRUPTED" || status.idleReason === "CANCELLED" ||
+        !(status.items && status.items.length > 0);
+};
+
+/*
+* Gets the applications of a platform status, excluding the idle screen
+*/
+StatusEventTracker.getApplications = function(status) {
+    return (status.applications || []).filter(app => !app.isIdleScreen);
+};
+
+/*
+* Checks if the volume level or mute state differ
+*/
+StatusEventTracker.volumeChanged = function(previous, volume) {
+    if (!previous || !volume) return false;
+
+    return previous.level !== volume.level || previous.muted !== volume.muted;
+};
+
+/*
+* Gets a comparison key for a status, ignoring the position that advances during playback
+*/
+StatusEventTracker.getKey = function(status) {
+    if (status && status.playerState === "PLAYING" && typeof status.currentTime !== "undefined") {
+        status = Object.assign({}, status);
+        delete status.currentTime;
+    }
+
+    return JSON.stringify(status);
+};
+
+module.exports = StatusEventTracker;
@@ -0,0 +1,41 @@
+"use strict";
+
+function SubtitleConverter() {}
+
+SubtitleConverter.SRT_CONTENT_TYPE = "application/x-subrip";
+SubtitleConverter.VTT_CONTENT_TYPE = "text/vtt";
+
+/*
+* Checks if a subtitle source is SubRip, by content type or file extension
+*/
+SubtitleConverter.isSrt = function(location, contentType) {
+    if (contentType) {
+        return contentType.toLowerCase() === SubtitleConverter.SRT_CONTENT_TYPE;
+    }
+
+    return /\.srt$/i.test((location || "").split("?")[0]);
+};
+
+/*
+* Converts SubRip text to WebVTT
+*/
+SubtitleConverter.srtToVtt = function(srt) {
+    let cues = srt
+        .replace(/^\uFEFF/, "")
+        .replace(/\r\n?/g, "\n")
+        .trim()
+        .split(/\n{2,}/)
+        .map(cue => cue.split("\n").map(line => {
+            // Timings use a comma as decimal separator in SRT, and may carry legacy position coordinates
+            let match = /^\s*(\d+:\d{2}:\d{2})[,.](\d{3})\s*-->\s*(\d+:\d{2}:\d{2})[,.](\d{3})/.exec(line);
+
+            return match
+                ? match[1] + "." + match[2] + " --> " + match[3] + "." + match[4]
+                : line;
+        }).join("\n"))
+        .filter(cue => cue.includes("-->"));
+
+    return "WEBVTT\n\n" + cues.join("\n\n") + "\n";
+};
+
+module.exports = SubtitleConverter;
@@ -0,0 +1,146 @@
+"use strict";
+const childProcess = require('child_process');
+
+function Transcoder(options) {
+    this.ffmpegPath = options.ffmpegPath || "ffmpeg";
+}
+
+/*
+* Output profiles, streamed as formats the cast device plays natively
+*/
+Transcoder.profiles = {
+    // Keeps the video stream, for H.264 in containers the cast device can't play
+    remux: {
+        contentType: "video/mp4",
+        args: ["-map", "0:v:0?", "-map", "0:a:0?", "-c:v", "copy", "-c:a", "aac", "-ac", "2", "-b:a", "160k",
+            "-movflags", "frag_keyframe+empty_moov+default_base_moof", "-f", "mp4"]
+    },
+    video: {
+        contentType: "video/mp4",
+        args: ["-map", "0:v:0?", "-map", "0:a:0?", "-c:v", "libx264", "-preset", "veryfast", "-profile:v", "high", "-level", "4.1",
+            "-pix_fmt", "yuv420p", "-c:a", "aac", "-ac", "2", "-b:a", "160k",
+            "-movflags", "frag_keyframe+empty_moov+default_base_moof", "-f", "mp4"]
+    },
+    audio: {
+        contentType: "audio/mpeg",
+        args: ["-vn", "-c:a", "libmp3lame", "-b:a", "192k", "-f", "mp3"]
+    }
+};
+
+// Content types the cast device rejects, by the profile that makes them playable
+Transcoder.videoContentTypes = [
+    "video/x-msvideo",
+    "video/x-ms-wmv",
+    "video/x-flv",
+    "video/x-sgi-movie",
+    "video/x-motion-jpeg",
+    "video/mpeg",
+    "video/3gpp",
+    "video/mp2t",
+    "video/x-matroska"
+];
+Transcoder.audioContentTypes = [
+    "audio/x-aiff",
+    "audio/basic",
+    "audio/x-ms-wma",
+    "audio/vnd.rn-realaudio",
+    "audio/x-pn-realaudio",
+    "audio/x-pn-realaudio-plugin",
+    "audio/x-qt-stream"
+];
+
+// Stream protocols the cast device can't open, always live
+Transcoder.liveProtocols = ["rtsp:", "rtsps:", "rtmp:", "rtmps:"];
+
+// Protocols ffmpeg may read URL sources from, so URLs can't reach local files around the media root
+Transcoder.sourceProtocols = ["http:", "https:"].concat(Transcoder.liveProtocols);
+
+/*
+* Gets the profile to transcode media with, or null if it plays as is.
+* The media transcode property forces a profile with true or a profile name, or skips transcoding with false.
+*/
+Transcoder.getProfile = function(location, contentType, transcode) {
+    if (transcode === false) {
+        return null;
+    }
+
+    if (typeof transcode === "string") {
+        if (!Transcoder.profiles[transcode]) {
+            throw new Error("Invalid transcode profile, expected one of " + Object.keys(Transcoder.profiles).join(", "));
+        }
+
+        return transcode;
+    }
+
+    if (Transcoder.isLive(location) || Transcoder.videoContentTypes.includes(contentType)) {
+        return "video";
+    }
+
+    if (Transcoder.audioContentTypes.includes(contentType)) {
+        return "audio";
+    }
+
+    if (transcode === true) {
+        return contentType && contentType.startsWith("audio/") ? "audio" : "video";
+    }
+
+    return null;
+};
+
+/*
+* Checks if a location is a live stream protocol
+*/
+Transcoder.isLive = function(location) {
+    let match = /^([a-z][a-z0-9+.-]*:)/i.exec(location || "");
+
+    return match !== null && Transcoder.liveProtocols.includes(match[1].toLowerCase());
+};
+
+/*
+* Checks if a URL uses a protocol ffmpeg may read sources from
+*/
+Transcoder.isRemoteSource = function(url) {
+    let match = /^([a-z][a-z0-9+.-]*:)\/\//i.exec(url || "");
+
+    return match !== null && Transcoder.sourceProtocols.includes(match[1].toLowerCase());
+};
+
+/*
+* Checks that ffmpeg can be run
+*/
+Transcoder.prototype.checkAsync = function() {
+    let self = this;
+
+    return new Promise((resolve, reject) => {
+        childProcess.execFile(self.ffmpegPath, ["-version"], { timeout: 10000 }, error => {
+            if (error) return reject(new Error("ffmpeg not available at " + self.ffmpegPath + ": " + error.message));
+
+            resolve();
+        });
+    });
+};
+
+/*
+* Starts transcoding a source file or URL, returning the output stream.
+* Destroying the stream stops ffmpeg.
+*/
+Transcoder.prototype.createStream = function(source, profile) {
+    let inputArgs = ["-hide_banner", "-loglevel", "error"];
+    if (/^rtsps?:/i.test(source)) {
+        inputArgs.push("-rtsp_transport", "tcp");
+    }
+
+    let args = inputArgs.concat(["-i", source], Transcoder.profiles[profile].args, ["pipe:1"]);
+    let ffmpeg = childProcess.spawn(this.ffmpegPath, args, { stdio: ["ignore", "pipe", "ignore"] });
+
+    ffmpeg.on('error', error => ffmpeg.stdout.destroy(error));
+    ffmpeg.stdout.once('close', () => {
+        if (ffmpeg.exitCode === null && ffmpeg.signalCode === null) {
+            ffmpeg.kill();
+        }
+    });
+
+    return ffmpeg.stdout;
+};
+
+module.exports = Transcoder;
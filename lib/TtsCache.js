@@ -0,0 +1,138 @@
+"use strict";
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const mkdirAsync = util.promisify(fs.mkdir);
+const readdirAsync = util.promisify(fs.readdir);
+const readFileAsync = util.promisify(fs.readFile);
+const statAsync = util.promisify(fs.stat);
+const unlinkAsync = util.promisify(fs.unlink);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+function TtsCache(options) {
+    this.directory = options.directory;
+    this.maxAge = options.maxAge || 0;
+    this.maxSize = options.maxSize || 0;
+}
+
+/*
+* Gets the cache key for synthesized text
+*/
+TtsCache.getKey = function(text, options, provider) {
+    return crypto.createHash("sha1")
+        .update(JSON.stringify([provider, options.language, options.speed, options.voice || null, text]))
+        .digest("hex");
+};
+
+/*
+* Gets a cached entry, or null on a miss or expired entry
+*/
+TtsCache.prototype.getAsync = function(key) {
+    let self = this;
+    let metaFile = path.join(this.directory, key + ".json");
+    let dataFile = path.join(this.directory, key);
+
+    return readFileAsync(metaFile, "utf8")
+        .then(meta => {
+            meta = JSON.parse(meta);
+            if (self.maxAge && Date.now() - meta.created > self.maxAge * 1000) {
+                return null;
+            }
+
+            return statAsync(dataFile).then(() => ({ file: dataFile, contentType: meta.contentType }));
+        })
+        .catch(() => null);
+};
+
+/*
+* Stores synthesized audio, pruning the cache afterwards
+*/
+TtsCache.prototype.putAsync = function(key, data, contentType) {
+    let self = this;
+    let dataFile = path.join(this.directory, key);
+    let meta = { contentType: contentType, created: Date.now() };
+
+    return mkdirAsync(this.directory, { recursive: true })
+        .then(() => writeFileAsync(dataFile, data))
+        .then(() => writeFileAsync(dataFile + ".json", JSON.stringify(meta)))
+        .then(() => {
+            // Pruning failures should never fail the announcement
+            self.pruneAsync().catch(() => {});
+
+            return { file: dataFile, contentType: contentType };
+        });
+};
+
+/*
+* Removes expired entries, then the oldest entries until under the size limit
+*/
+TtsCache.prototype.pruneAsync = function() {
+    let self = this;
+
+    return this.getEntriesAsync()
+        .then(entries => {
+            let now = Date.now();
+            let expired = entries.filter(entry => self.maxAge && now - entry.created > self.maxAge * 1000);
+            let remaining = entries
+                .filter(entry => !expired.includes(entry))
+                .sort((a, b) => b.created - a.created);
+
+            let totalSize = 0;
+            remaining.forEach(entry => {
+                totalSize += entry.size;
+                if (self.maxSize && totalSize > self.maxSize) {
+                    expired.push(entry);
+                }
+            });
+
+            return Promise.all(expired.map(entry => self.removeAsync(entry.key)));
+        });
+};
+
+/*
+* Removes all entries
+*/
+TtsCache.prototype.clearAsync = function() {
+    let self = this;
+
+    return this.getEntriesAsync()
+        .then(entries => Promise.all(entries.map(entry => self.removeAsync(entry.key))));
+};
+
+/*
+* Lists cache entries with their size and creation time
+*/
+TtsCache.prototype.getEntriesAsync = function() {
+    let self = this;
+
+    return readdirAsync(this.directory)
+        .catch(() => [])
+        .then(files => {
+            let keys = files.filter(file => /^[0-9a-f]{40}$/.test(file));
+
+            return Promise.all(keys.map(key => {
+                let dataFile = path.join(self.directory, key);
+
+                return statAsync(dataFile)
+                    .then(stats => ({ key: key, size: stats.size, created: stats.mtimeMs }))
+                    .catch(() => null);
+            }));
+        })
+        .then(entries => entries.filter(entry => entry != null));
+};
+
+/*
+* Removes a single entry
+*/
+TtsCache.prototype.removeAsync = function(key) {
+    let dataFile = path.join(this.directory, key);
+
+    return Promise.all([
+        unlinkAsync(dataFile).catch(() => {}),
+        unlinkAsync(dataFile + ".json").catch(() => {})
+    ]);
+};
+
+module.exports = TtsCache;
@@ -14,6 +14,9 @@ TuneInReceiverAdapter.initReceiver = function(node, receiver) {
     receiver.playAsync = util.promisify(receiver.play);
     receiver.seekAsync = util.promisify(receiver.seek);
     receiver.stopAsync = util.promisify(receiver.stop);
+    receiver.setVolumeAsync = util.promisify(receiver.setVolume);
+    receiver.editTracksInfoAsync = util.promisify(receiver.editTracksInfo);
+    receiver.setPlaybackRateAsync = util.promisify(receiver.setPlaybackRate);
 
     return receiver;
 };
@@ -21,7 +24,7 @@ TuneInReceiverAdapter.initReceiver = function(node, receiver) {
 /*
 * App command handler
 */
-TuneInReceiverAdapter.sendAppCommandAsync = function(receiver, command) {
+TuneInReceiverAdapter.sendAppCommandAsync = function(node, receiver, command) {
     throw new Error("Unknown command");
 };
 
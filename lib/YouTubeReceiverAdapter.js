@@ -15,6 +15,9 @@ YouTubeReceiverAdapter.initReceiver = function(node, receiver) {
     receiver.playAsync = util.promisify(receiver.play);
     receiver.seekAsync = util.promisify(receiver.seek);
     receiver.stopAsync = util.promisify(receiver.stop);
+    receiver.setVolumeAsync = util.promisify(receiver.setVolume);
+    receiver.editTracksInfoAsync = util.promisify(receiver.editTracksInfo);
+    receiver.setPlaybackRateAsync = util.promisify(receiver.setPlaybackRate);
     receiver.queueNextAsync = util.promisify(receiver.queueNext);
     receiver.queuePrevAsync = util.promisify(receiver.queuePrev);
 
@@ -24,7 +27,7 @@ YouTubeReceiverAdapter.initReceiver = function(node, receiver) {
 /*
 * App command handler
 */
-YouTubeReceiverAdapter.sendAppCommandAsync = function(receiver, command) {
+YouTubeReceiverAdapter.sendAppCommandAsync = function(node, receiver, command) {
     // Check for load commands
     if (command.type === "MEDIA" && command.videoId) {
         return receiver.loadAsync(command.videoId);
@@ -33,4 +36,19 @@ YouTubeReceiverAdapter.sendAppCommandAsync = function(receiver, command) {
     }
 };
 
+/*
+* Reloads the video captured before an announcement
+*/
+YouTubeReceiverAdapter.resumeAsync = function(node, receiver, snapshot) {
+    // Videos aren't hosted, so any content held during the announcement isn't needed
+    node.releaseHostedContent(snapshot.hostedIds);
+
+    // The YouTube load flow has no start position, so the video restarts from the beginning
+    if (snapshot.status.playerState === "IDLE" || !snapshot.status.media.contentId) {
+        return Promise.resolve();
+    }
+
+    return receiver.loadAsync(snapshot.status.media.contentId);
+};
+
 module.exports = YouTubeReceiverAdapter;
\ No newline at end of file